@@ -0,0 +1,256 @@
+// account-export.js - Full account data export as a ZIP archive
+//
+// The archive holds everything we keep for an athlete, including what
+// Strava's own export doesn't (countries, race flags, overrides):
+//
+//   manifest.json          athlete profile, settings and a file index
+//   activities/<id>.json   each activity with our processed fields
+//   gpx/<id>.gpx           each activity's route
+//
+// Archives are stored (in S3 when deployed, since they can outgrow a Lambda
+// response) and kept for EXPORT_TTL_SECONDS behind a download link. Small
+// accounts are built during the request; larger ones by the sync worker.
+const { Writable } = require("stream");
+
+const {
+  getAuthToken,
+  getFilterSettings,
+  getAllActivities,
+  listActivityOverrides,
+  getActivityStreams,
+  updateExportJob,
+  storeExportArchive,
+} = require("./storage");
+const { applyOverrides } = require("./activity-overrides");
+const { formatActivity } = require("./activity-metrics");
+const { formatRoute, routeCoordinates } = require("./polyline");
+const { selectStreams } = require("./activity-streams");
+const { createZipWriter } = require("./zip");
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Accounts with more activities than this are exported asynchronously
+const EXPORT_INLINE_MAX_ACTIVITIES =
+  parseInt(process.env.EXPORT_INLINE_MAX_ACTIVITIES, 10) || 200;
+
+// How long a finished archive can be downloaded
+const EXPORT_TTL_SECONDS = 24 * 60 * 60;
+
+// GPX tracks from streams are downsampled to this (see activity-streams.js),
+// to keep archives small
+const GPX_STREAM_RESOLUTION = "medium";
+
+// ========================================
+// GPX
+// ========================================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Track points from stored streams (with elevation and times), or else the
+// activity's route
+function trackPoints(activity, streams) {
+  if (!streams?.streams.latlng?.length) {
+    return routeCoordinates(activity).map(({ lat, lng }) => ({ lat, lng }));
+  }
+
+  const { latlng, altitude, time } = selectStreams(streams, {
+    keys: ["latlng", "altitude", "time"],
+    resolution: GPX_STREAM_RESOLUTION,
+  }).streams;
+  const startTime = Date.parse(activity.start_date);
+
+  return latlng.map(([lat, lng], i) => ({
+    lat,
+    lng,
+    elevation: altitude?.[i],
+    time:
+      time?.[i] !== undefined && !Number.isNaN(startTime)
+        ? new Date(startTime + time[i] * 1000).toISOString()
+        : undefined,
+  }));
+}
+
+// A GPX 1.1 track of an activity (with overrides applied)
+function buildGpx(activity, streams) {
+  const points = trackPoints(activity, streams).map((point) => {
+    const children = [
+      point.elevation !== undefined && `<ele>${point.elevation}</ele>`,
+      point.time && `<time>${point.time}</time>`,
+    ].filter(Boolean);
+
+    return `      <trkpt lat="${point.lat}" lon="${point.lng}">${children.join(
+      ""
+    )}</trkpt>`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="strava-activities-api" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata>`,
+    activity.start_date && `    <time>${escapeXml(activity.start_date)}</time>`,
+    `  </metadata>`,
+    `  <trk>`,
+    `    <name>${escapeXml(activity.name || `Activity ${activity.id}`)}</name>`,
+    activity.sport_type && `    <type>${escapeXml(activity.sport_type)}</type>`,
+    `    <trkseg>`,
+    ...points,
+    `    </trkseg>`,
+    `  </trk>`,
+    `</gpx>`,
+    "",
+  ]
+    .filter((line) => typeof line === "string")
+    .join("\n");
+}
+
+// ========================================
+// ARCHIVE
+// ========================================
+
+// Newest first, with activities synced before start dates were stored last
+function sortNewestFirst(activities) {
+  return activities.sort(
+    (a, b) =>
+      (b.start_date || "").localeCompare(a.start_date || "") || b.id - a.id
+  );
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+// Write an athlete's export archive to `output`. Returns the number of
+// activities exported. Only streams already stored are used, so an export
+// never spends Strava's rate limit.
+async function writeAccountExport(athleteId, output) {
+  const authData = await getAuthToken(athleteId);
+  if (!authData) {
+    throw new Error(`No authentication data found for athlete: ${athleteId}`);
+  }
+
+  const settings = await getFilterSettings(athleteId);
+  const activities = sortNewestFirst(await getAllActivities(athleteId));
+  const overrides = await listActivityOverrides(athleteId);
+  const zip = createZipWriter(output);
+  const files = [];
+
+  for (const activity of activities) {
+    const override = overrides.get(activity.id) || null;
+    const merged = applyOverrides(activity, override);
+    const streams = await getActivityStreams(athleteId, activity.id);
+
+    const jsonFile = `activities/${activity.id}.json`;
+    const gpxFile = `gpx/${activity.id}.gpx`;
+
+    await zip.addFile(
+      jsonFile,
+      toJson({ ...formatRoute(formatActivity(merged)), overrides: override })
+    );
+    await zip.addFile(gpxFile, buildGpx(merged, streams));
+
+    files.push({
+      activity_id: activity.id,
+      name: merged.name,
+      start_date: activity.start_date,
+      json: jsonFile,
+      gpx: gpxFile,
+    });
+  }
+
+  // Tokens are never exported
+  await zip.addFile(
+    "manifest.json",
+    toJson({
+      format_version: EXPORT_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      athlete: {
+        athlete_id: athleteId.toString(),
+        profile: authData.athlete_info || null,
+        scopes: authData.scopes || null,
+        connected_at: authData.created_at || null,
+        last_synced_at: authData.last_synced_at || null,
+      },
+      settings: {
+        filters: {
+          rules: settings?.rules || [],
+          disabled_defaults: settings?.disabled_defaults || [],
+          updated_at: settings?.updated_at || null,
+        },
+      },
+      activity_count: activities.length,
+      files,
+    })
+  );
+
+  await zip.finish();
+  return activities.length;
+}
+
+// ========================================
+// ASYNC EXPORT JOBS
+// ========================================
+
+// Build a queued export job's archive and store it for download. Returns
+// the finished (succeeded or failed) job.
+async function runExportTask({ athlete_id, job_id }) {
+  console.log(`📦 Building export ${job_id} for athlete: ${athlete_id}`);
+
+  try {
+    await updateExportJob(athlete_id, job_id, {
+      state: "running",
+      started_at: new Date().toISOString(),
+    });
+
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+
+    const activityCount = await writeAccountExport(athlete_id, output);
+    output.end();
+
+    const archive = Buffer.concat(chunks);
+    const expiresAt = new Date(
+      Date.now() + EXPORT_TTL_SECONDS * 1000
+    ).toISOString();
+
+    await storeExportArchive(athlete_id, job_id, archive, expiresAt);
+    const job = await updateExportJob(athlete_id, job_id, {
+      state: "succeeded",
+      activity_count: activityCount,
+      size_bytes: archive.length,
+      finished_at: new Date().toISOString(),
+      expires_at: expiresAt,
+    });
+
+    console.log(
+      `✅ Export ${job_id} ready: ${activityCount} activities, ${archive.length} bytes`
+    );
+    return job;
+  } catch (error) {
+    console.error(`❌ Export ${job_id} failed:`, error);
+    return updateExportJob(athlete_id, job_id, {
+      state: "failed",
+      error_message: error.message,
+      finished_at: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = {
+  EXPORT_INLINE_MAX_ACTIVITIES,
+  EXPORT_TTL_SECONDS,
+  buildGpx,
+  writeAccountExport,
+  runExportTask,
+};
@@ -0,0 +1,80 @@
+// account.js - Disconnecting athletes and purging their stored data
+const axios = require("axios");
+
+const {
+  getValidAccessToken,
+  deleteAuthToken,
+  deleteAllActivities,
+  deleteAllActivityOverrides,
+  deleteAllActivityStreams,
+  deleteAllAccountExports,
+} = require("./storage");
+
+// Revoke our access at Strava. Returns false if the token was already
+// revoked or can no longer be refreshed; other failures are thrown so the
+// caller can retry before any data is removed.
+async function deauthorizeAthlete(athleteId) {
+  try {
+    const accessToken = await getValidAccessToken(athleteId);
+
+    await axios.post("https://www.strava.com/oauth/deauthorize", null, {
+      params: { access_token: accessToken },
+    });
+
+    console.log(`Deauthorized athlete at Strava: ${athleteId}`);
+    return true;
+  } catch (error) {
+    const status = error.response?.status;
+
+    if (status === 400 || status === 401) {
+      console.log(`Strava access already revoked for athlete: ${athleteId}`);
+      return false;
+    }
+
+    if (error.message.includes("No authentication data found")) {
+      return false;
+    }
+
+    throw error;
+  }
+}
+
+// Delete everything stored for an athlete and report what was removed
+async function purgeAthleteData(athleteId) {
+  const activitiesDeleted = await deleteAllActivities(athleteId);
+  const overridesDeleted = await deleteAllActivityOverrides(athleteId);
+  const streamsDeleted = await deleteAllActivityStreams(athleteId);
+  const exportsDeleted = await deleteAllAccountExports(athleteId);
+  const authRecordDeleted = await deleteAuthToken(athleteId);
+
+  console.log(
+    `Purged data for athlete ${athleteId}: ${activitiesDeleted} activities`
+  );
+
+  return {
+    activities_deleted: activitiesDeleted,
+    overrides_deleted: overridesDeleted,
+    streams_deleted: streamsDeleted,
+    exports_deleted: exportsDeleted,
+    auth_record_deleted: authRecordDeleted,
+  };
+}
+
+// Deauthorize at Strava, then purge all stored data
+async function disconnectAthlete(athleteId) {
+  const stravaDeauthorized = await deauthorizeAthlete(athleteId);
+  const summary = await purgeAthleteData(athleteId);
+
+  return {
+    athlete_id: athleteId.toString(),
+    strava_deauthorized: stravaDeauthorized,
+    ...summary,
+    disconnected_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  deauthorizeAthlete,
+  purgeAthleteData,
+  disconnectAthlete,
+};
@@ -0,0 +1,358 @@
+// activity-filters.js - Rules deciding which Strava activities we map
+//
+// A rule matches when every condition it sets matches. Rules are checked in
+// order, the athlete's own first, then the enabled defaults, and the first
+// match wins: "exclude" skips the activity, "include" keeps it without
+// checking the rest.
+const { getFilterSettings } = require("./storage");
+
+const MAX_ATHLETE_RULES = 50;
+const MAX_PATTERN_LENGTH = 200;
+
+const DEFAULT_FILTER_RULES = [
+  {
+    id: "trainer",
+    description: "Marked as a trainer activity",
+    action: "exclude",
+    trainer: true,
+  },
+  {
+    id: "manual",
+    description: "Entered manually",
+    action: "exclude",
+    manual: true,
+  },
+  {
+    id: "virtual-sport-types",
+    description: "Virtual sport types",
+    action: "exclude",
+    sport_types: ["VirtualRide", "VirtualRun"],
+  },
+  {
+    id: "indoor-names",
+    description: "Names that usually mean an indoor or virtual session",
+    action: "exclude",
+    // Not "trainer": outdoor names use it too ("Trainer's Loop"), and
+    // Strava's trainer flag (the rule above) already covers indoor sessions
+    name_pattern: "zwift|peloton|rouvy|virtual|indoor|treadmill",
+  },
+  {
+    id: "min-gps-points",
+    description: "Too few GPS points to be an outdoor activity",
+    action: "exclude",
+    min_gps_points: 3,
+  },
+];
+
+const RULE_CONDITIONS = [
+  "name_pattern",
+  "sport_types",
+  "device_pattern",
+  "trainer",
+  "manual",
+  "min_gps_points",
+];
+
+class FilterRulesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FilterRulesError";
+  }
+}
+
+// ========================================
+// EVALUATION
+// ========================================
+
+function ruleMatches(rule, activity, { gpsPoints }) {
+  if (
+    rule.name_pattern !== undefined &&
+    !new RegExp(rule.name_pattern, "i").test(activity.name || "")
+  ) {
+    return false;
+  }
+
+  if (
+    rule.sport_types !== undefined &&
+    !rule.sport_types.includes(activity.sport_type) &&
+    !rule.sport_types.includes(activity.type)
+  ) {
+    return false;
+  }
+
+  // device_name is only on detailed activities (webhooks, targeted resync)
+  if (
+    rule.device_pattern !== undefined &&
+    !new RegExp(rule.device_pattern, "i").test(activity.device_name || "")
+  ) {
+    return false;
+  }
+
+  if (rule.trainer !== undefined && !!activity.trainer !== rule.trainer) {
+    return false;
+  }
+
+  if (rule.manual !== undefined && !!activity.manual !== rule.manual) {
+    return false;
+  }
+
+  if (rule.min_gps_points !== undefined && gpsPoints >= rule.min_gps_points) {
+    return false;
+  }
+
+  return true;
+}
+
+// ID of the rule that excludes an activity, or null if it's kept
+function findExcludingRule(activity, rules, { gpsPoints = 0 } = {}) {
+  for (const rule of rules) {
+    if (ruleMatches(rule, activity, { gpsPoints })) {
+      return rule.action === "include" ? null : rule.id;
+    }
+  }
+
+  return null;
+}
+
+// ========================================
+// SETTINGS
+// ========================================
+
+// Whether a rule's patterns are safe to run (rules stored before patterns
+// were checked may not be)
+function hasSafePatterns(rule) {
+  const unsafe = ["name_pattern", "device_pattern"].some(
+    (field) =>
+      rule[field] !== undefined && findUnsafeRegexConstruct(rule[field])
+  );
+
+  if (unsafe) {
+    console.warn(`Ignoring filter rule ${rule.id}: pattern is too complex`);
+  }
+  return !unsafe;
+}
+
+// The rules to apply for an athlete's settings, in evaluation order
+function buildFilterRules({ rules = [], disabled_defaults = [] } = {}) {
+  return [
+    ...rules.filter(hasSafePatterns),
+    ...DEFAULT_FILTER_RULES.filter(
+      (rule) => !disabled_defaults.includes(rule.id)
+    ),
+  ];
+}
+
+// Load an athlete's rules (defaults only if they've never changed them)
+async function getActivityFilters(athleteId) {
+  return buildFilterRules((await getFilterSettings(athleteId)) || {});
+}
+
+// Patterns run against every activity name during sync, so constructs
+// that can backtrack exponentially (e.g. "(a+)+$") are rejected:
+// backreferences, and repeated groups containing a quantifier or |.
+// Returns what's wrong, or null if the pattern is safe.
+function findUnsafeRegexConstruct(pattern) {
+  // For each open group: whether it contains a quantifier or |
+  const groups = [];
+  let closedGroupIsRisky = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const followsRiskyGroup = closedGroupIsRisky;
+    closedGroupIsRisky = false;
+
+    if (char === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) {
+        return "backreferences are not allowed";
+      }
+      i++;
+      continue;
+    }
+
+    // Character classes can't nest quantifiers
+    if (char === "[") {
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") {
+          i++;
+        }
+      }
+      continue;
+    }
+
+    if (char === "(") {
+      groups.push(false);
+
+      // Skip (?: (?= (?! (?<= (?<! and (?<name>
+      if (pattern[i + 1] === "?") {
+        i++;
+        if (pattern[i + 1] === "<" && !/[=!]/.test(pattern[i + 2])) {
+          i = pattern.indexOf(">", i);
+        } else {
+          i += pattern[i + 1] === "<" ? 2 : 1;
+        }
+      }
+      continue;
+    }
+
+    if (char === ")") {
+      closedGroupIsRisky = groups.pop();
+      if (closedGroupIsRisky && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      continue;
+    }
+
+    const braces = char === "{" && pattern.slice(i).match(/^\{(\d+)(,\d*)?\}/);
+
+    if (braces || "*+?".includes(char)) {
+      const repeats = braces
+        ? braces[2] !== undefined || Number(braces[1]) > 1
+        : char !== "?";
+
+      if (followsRiskyGroup && repeats) {
+        return "repeated groups may not contain quantifiers or |";
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      if (braces) {
+        i += braces[0].length - 1;
+      }
+      continue;
+    }
+
+    if (char === "|" && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return null;
+}
+
+function validatePattern(value, field) {
+  if (typeof value !== "string" || value.length > MAX_PATTERN_LENGTH) {
+    throw new FilterRulesError(
+      `${field} must be a string of at most ${MAX_PATTERN_LENGTH} characters`
+    );
+  }
+
+  try {
+    new RegExp(value, "i");
+  } catch (error) {
+    throw new FilterRulesError(
+      `${field} is not a valid regex: ${error.message}`
+    );
+  }
+
+  const unsafe = findUnsafeRegexConstruct(value);
+  if (unsafe) {
+    throw new FilterRulesError(`${field} is too complex: ${unsafe}`);
+  }
+}
+
+function validateRule(rule, index) {
+  const label = `rules[${index}]`;
+
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new FilterRulesError(`${label} must be an object`);
+  }
+  if (typeof rule.id !== "string" || !/^[\w-]{1,50}$/.test(rule.id)) {
+    throw new FilterRulesError(
+      `${label}.id must be 1-50 letters, digits, - or _`
+    );
+  }
+  if (DEFAULT_FILTER_RULES.some((defaultRule) => defaultRule.id === rule.id)) {
+    throw new FilterRulesError(`${label}.id clashes with a default rule`);
+  }
+
+  const action = rule.action ?? "exclude";
+  if (!["include", "exclude"].includes(action)) {
+    throw new FilterRulesError(`${label}.action must be include or exclude`);
+  }
+
+  if (!RULE_CONDITIONS.some((condition) => rule[condition] !== undefined)) {
+    throw new FilterRulesError(
+      `${label} needs at least one of ${RULE_CONDITIONS.join(", ")}`
+    );
+  }
+
+  if (rule.name_pattern !== undefined) {
+    validatePattern(rule.name_pattern, `${label}.name_pattern`);
+  }
+  if (rule.device_pattern !== undefined) {
+    validatePattern(rule.device_pattern, `${label}.device_pattern`);
+  }
+  if (
+    rule.sport_types !== undefined &&
+    (!Array.isArray(rule.sport_types) ||
+      !rule.sport_types.every((type) => typeof type === "string"))
+  ) {
+    throw new FilterRulesError(`${label}.sport_types must be a list of types`);
+  }
+  for (const flag of ["trainer", "manual"]) {
+    if (rule[flag] !== undefined && typeof rule[flag] !== "boolean") {
+      throw new FilterRulesError(`${label}.${flag} must be true or false`);
+    }
+  }
+  if (
+    rule.min_gps_points !== undefined &&
+    (!Number.isInteger(rule.min_gps_points) || rule.min_gps_points < 0)
+  ) {
+    throw new FilterRulesError(
+      `${label}.min_gps_points must be a non-negative integer`
+    );
+  }
+
+  // Keep only known fields
+  const validated = { id: rule.id, action };
+  if (typeof rule.description === "string") {
+    validated.description = rule.description.slice(0, 200);
+  }
+  for (const condition of RULE_CONDITIONS) {
+    if (rule[condition] !== undefined) {
+      validated[condition] = rule[condition];
+    }
+  }
+  return validated;
+}
+
+// Validate a PUT /settings/filters body. Returns the settings to store,
+// or throws FilterRulesError.
+function validateFilterSettings({ rules = [], disabled_defaults = [] } = {}) {
+  if (!Array.isArray(rules) || rules.length > MAX_ATHLETE_RULES) {
+    throw new FilterRulesError(
+      `rules must be a list of at most ${MAX_ATHLETE_RULES} rules`
+    );
+  }
+
+  const validatedRules = rules.map(validateRule);
+
+  const ids = validatedRules.map((rule) => rule.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new FilterRulesError("rule ids must be unique");
+  }
+
+  const defaultIds = DEFAULT_FILTER_RULES.map((rule) => rule.id);
+  if (
+    !Array.isArray(disabled_defaults) ||
+    !disabled_defaults.every((id) => defaultIds.includes(id))
+  ) {
+    throw new FilterRulesError(
+      `disabled_defaults may only contain ${defaultIds.join(", ")}`
+    );
+  }
+
+  return {
+    rules: validatedRules,
+    disabled_defaults: [...new Set(disabled_defaults)],
+  };
+}
+
+module.exports = {
+  DEFAULT_FILTER_RULES,
+  FilterRulesError,
+  findExcludingRule,
+  buildFilterRules,
+  getActivityFilters,
+  validateFilterSettings,
+};
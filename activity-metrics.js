@@ -0,0 +1,144 @@
+// activity-metrics.js - Raw activity metrics and their display formatting
+//
+// Activities store Strava's raw numbers (metres, seconds, m/s) in a
+// `metrics` map. Distances, times, speeds and paces for responses are
+// derived from them in the units the client asks for.
+const { describeStoredType } = require("./activity-types");
+
+const METRES_PER_MILE = 1609.344;
+const FEET_PER_METRE = 3.28084;
+
+const UNIT_SYSTEMS = {
+  metric: {
+    system: "metric",
+    distance: "km",
+    elevation: "m",
+    speed: "km/h",
+    pace: "min/km",
+  },
+  imperial: {
+    system: "imperial",
+    distance: "mi",
+    elevation: "ft",
+    speed: "mph",
+    pace: "min/mi",
+  },
+};
+
+// Strava fields kept verbatim (missing ones are stored as null)
+const METRIC_FIELDS = [
+  "distance", // metres
+  "moving_time", // seconds
+  "elapsed_time", // seconds
+  "total_elevation_gain", // metres
+  "average_speed", // metres per second
+  "max_speed", // metres per second
+  "average_heartrate", // bpm
+  "max_heartrate", // bpm
+];
+
+// Raw metrics of a Strava activity (summary or detailed)
+function extractMetrics(activity) {
+  return Object.fromEntries(
+    METRIC_FIELDS.map((field) => [field, activity[field] ?? null])
+  );
+}
+
+// Format duration from seconds to HH:MM:SS
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (hours > 0) {
+    return `${hours.toString().padStart(2, "0")}:${minutes
+      .toString()
+      .padStart(2, "0")}:${secs.toString().padStart(2, "0")}`;
+  } else {
+    return `${minutes.toString().padStart(2, "0")}:${secs
+      .toString()
+      .padStart(2, "0")}`;
+  }
+}
+
+function metresPerUnit(units) {
+  return units === "imperial" ? METRES_PER_MILE : 1000;
+}
+
+// Distance in km or miles, to one decimal place
+function formatDistance(metres, units) {
+  return (metres / metresPerUnit(units)).toFixed(1);
+}
+
+// m/s in km/h or mph, to one decimal place
+function convertSpeed(metresPerSecond, units) {
+  if (metresPerSecond === null) {
+    return null;
+  }
+  const perHour = (metresPerSecond * 3600) / metresPerUnit(units);
+  return Math.round(perHour * 10) / 10;
+}
+
+// Time per km or mile, as MM:SS
+function formatPace(metres, movingTime, units) {
+  if (!metres || !movingTime) {
+    return null;
+  }
+  return formatDuration(
+    Math.round(movingTime / (metres / metresPerUnit(units)))
+  );
+}
+
+// Add display fields to a stored activity in metric or imperial units
+function formatActivity(activity, units = "metric") {
+  const { metrics } = activity;
+  const { category } = describeStoredType(activity);
+
+  // Rows stored before raw metrics were kept only have the formatted km
+  // distance and time (see scripts/backfill-activity-metrics.js)
+  if (!metrics) {
+    const km = parseFloat(activity.distance);
+    return {
+      ...activity,
+      category,
+      distance: Number.isNaN(km)
+        ? activity.distance
+        : formatDistance(km * 1000, units),
+      units: UNIT_SYSTEMS[units],
+    };
+  }
+
+  const elevationGain =
+    metrics.total_elevation_gain === null
+      ? null
+      : Math.round(
+          units === "imperial"
+            ? metrics.total_elevation_gain * FEET_PER_METRE
+            : metrics.total_elevation_gain
+        );
+
+  return {
+    ...activity,
+    category,
+    distance: formatDistance(metrics.distance, units),
+    time: formatDuration(metrics.moving_time),
+    elapsed_time:
+      metrics.elapsed_time === null
+        ? null
+        : formatDuration(metrics.elapsed_time),
+    elevation_gain: elevationGain,
+    average_speed: convertSpeed(metrics.average_speed, units),
+    max_speed: convertSpeed(metrics.max_speed, units),
+    pace: formatPace(metrics.distance, metrics.moving_time, units),
+    average_heartrate: metrics.average_heartrate,
+    max_heartrate: metrics.max_heartrate,
+    units: UNIT_SYSTEMS[units],
+  };
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  extractMetrics,
+  formatDuration,
+  formatActivity,
+};
@@ -0,0 +1,145 @@
+// activity-overrides.js - Athlete corrections layered over synced activities
+//
+// Overrides live in their own table, keyed by athlete and activity, so a
+// resync or reconcile never touches them. They're merged into activities
+// as they're returned.
+
+const MAX_NAME_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_COUNTRY_LENGTH = 100;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Fields an athlete can set. isRace, name and country replace the synced
+// value; hidden, notes and tags only exist as overrides.
+const OVERRIDE_FIELDS = [
+  "isRace",
+  "hidden",
+  "name",
+  "notes",
+  "tags",
+  "country",
+];
+
+class OverridesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OverridesError";
+  }
+}
+
+function validateText(value, field, maxLength) {
+  if (typeof value !== "string" || value.trim().length === 0) {
+    throw new OverridesError(`${field} must be a non-empty string`);
+  }
+  if (value.trim().length > maxLength) {
+    throw new OverridesError(
+      `${field} must be at most ${maxLength} characters`
+    );
+  }
+  return value.trim();
+}
+
+function validateTags(tags) {
+  if (
+    !Array.isArray(tags) ||
+    tags.length > MAX_TAGS ||
+    !tags.every((tag) => typeof tag === "string")
+  ) {
+    throw new OverridesError(`tags must be a list of at most ${MAX_TAGS} tags`);
+  }
+
+  const validated = tags.map((tag) =>
+    validateText(tag, "tags", MAX_TAG_LENGTH)
+  );
+  return [...new Set(validated)];
+}
+
+// Validate a PATCH /activities/:id body. Returns the changes to apply, where
+// null clears an override, or throws OverridesError.
+function validateOverrides(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new OverridesError("Body must be an object");
+  }
+
+  const unknown = Object.keys(body).filter(
+    (field) => !OVERRIDE_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new OverridesError(
+      `Unknown fields: ${unknown.join(", ")} (allowed: ${OVERRIDE_FIELDS.join(
+        ", "
+      )})`
+    );
+  }
+
+  const changes = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    if (value === null) {
+      changes[field] = null;
+      continue;
+    }
+
+    switch (field) {
+      case "isRace":
+      case "hidden":
+        if (typeof value !== "boolean") {
+          throw new OverridesError(`${field} must be true, false or null`);
+        }
+        changes[field] = value;
+        break;
+      case "name":
+        changes.name = validateText(value, "name", MAX_NAME_LENGTH);
+        break;
+      case "notes":
+        changes.notes = validateText(value, "notes", MAX_NOTES_LENGTH);
+        break;
+      case "country":
+        changes.country = validateText(value, "country", MAX_COUNTRY_LENGTH);
+        break;
+      case "tags": {
+        const tags = validateTags(value);
+        // An empty list clears the tags
+        changes.tags = tags.length > 0 ? tags : null;
+        break;
+      }
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new OverridesError(
+      `Set at least one of ${OVERRIDE_FIELDS.join(", ")}`
+    );
+  }
+
+  return changes;
+}
+
+// Merge an athlete's overrides into a stored activity. `overridden_fields`
+// lists which fields came from the overrides.
+function applyOverrides(activity, overrides) {
+  const merged = {
+    ...activity,
+    hidden: false,
+    notes: null,
+    tags: [],
+    overridden_fields: [],
+  };
+
+  for (const field of OVERRIDE_FIELDS) {
+    if (overrides?.[field] !== undefined && overrides[field] !== null) {
+      merged[field] = overrides[field];
+      merged.overridden_fields.push(field);
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  OverridesError,
+  validateOverrides,
+  applyOverrides,
+};
@@ -0,0 +1,220 @@
+// activity-streams.js - Full-resolution activity streams from Strava
+//
+// Streams (the GPS track, altitude, heart rate... sampled along the
+// activity) are fetched from Strava on demand, or during sync when
+// SYNC_ACTIVITY_STREAMS=true, and stored chunked in their own table (see
+// storage/common.js), so activity items only hold summary data. Responses
+// can be downsampled to a `resolution`.
+const {
+  getValidAccessToken,
+  getActivityStreams,
+  storeActivityStreams,
+} = require("./storage");
+const {
+  stravaGet,
+  hasBudget,
+  StravaRateLimitError,
+} = require("./strava-client");
+
+// Streams we fetch and store, by Strava's names
+const STREAM_KEYS = [
+  "latlng", // [lat, lng]
+  "altitude", // metres
+  "time", // seconds from the start
+  "distance", // metres from the start
+  "heartrate", // bpm
+  "cadence", // rpm
+  "watts",
+  "velocity_smooth", // metres per second
+];
+
+// Most points returned at each resolution (null = every point)
+const RESOLUTIONS = {
+  low: 100,
+  medium: 1000,
+  high: 10000,
+  full: null,
+};
+
+class StreamsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StreamsError";
+  }
+}
+
+// Parse ?keys= (comma-separated, all by default) and ?resolution=
+function parseStreamsQuery({ keys, resolution = "full" } = {}) {
+  const requested =
+    keys === undefined
+      ? STREAM_KEYS
+      : [
+          ...new Set(
+            String(keys)
+              .split(",")
+              .map((key) => key.trim())
+              .filter(Boolean)
+          ),
+        ];
+
+  if (
+    requested.length === 0 ||
+    requested.some((key) => !STREAM_KEYS.includes(key))
+  ) {
+    throw new StreamsError(
+      `keys must be a comma-separated list of: ${STREAM_KEYS.join(", ")}`
+    );
+  }
+
+  if (!Object.hasOwn(RESOLUTIONS, resolution)) {
+    throw new StreamsError(
+      `resolution must be one of: ${Object.keys(RESOLUTIONS).join(", ")}`
+    );
+  }
+
+  return { keys: requested, resolution };
+}
+
+// Fetch an activity's streams from Strava. Activities without any (e.g.
+// manual ones) get a record with no streams, so we don't ask again.
+async function fetchStravaStreams(
+  accessToken,
+  activityId,
+  { priority = "background" } = {}
+) {
+  const response = await stravaGet(
+    `/activities/${activityId}/streams`,
+    accessToken,
+    {
+      params: { keys: STREAM_KEYS.join(","), key_by_type: true },
+      priority,
+    }
+  );
+
+  const available = STREAM_KEYS.filter((key) => response[key]?.data?.length);
+
+  return {
+    series_type: response[available[0]]?.series_type || null,
+    original_size: Math.max(
+      0,
+      ...available.map((key) => response[key].data.length)
+    ),
+    fetched_at: new Date().toISOString(),
+    streams: Object.fromEntries(
+      available.map((key) => [key, response[key].data])
+    ),
+  };
+}
+
+// An activity's streams: stored ones, or fetched from Strava and stored
+// the first time they're asked for
+async function loadActivityStreams(
+  athleteId,
+  activityId,
+  { priority = "interactive" } = {}
+) {
+  const stored = await getActivityStreams(athleteId, activityId);
+  if (stored) {
+    return stored;
+  }
+
+  console.log(`Fetching streams for activity ${activityId} from Strava`);
+
+  const accessToken = await getValidAccessToken(athleteId);
+  const record = await fetchStravaStreams(accessToken, activityId, {
+    priority,
+  });
+
+  await storeActivityStreams(athleteId, activityId, record);
+  return record;
+}
+
+// Evenly spaced indexes (always including the first and last point), or
+// null to keep every point
+function sampleIndexes(size, maxPoints) {
+  if (!maxPoints || size <= maxPoints) {
+    return null;
+  }
+
+  return Array.from({ length: maxPoints }, (_, i) =>
+    Math.round((i * (size - 1)) / (maxPoints - 1))
+  );
+}
+
+// The requested streams from a record, downsampled to `resolution`
+function selectStreams(record, { keys = STREAM_KEYS, resolution = "full" }) {
+  const indexes = sampleIndexes(record.original_size, RESOLUTIONS[resolution]);
+  const streams = Object.fromEntries(
+    keys
+      .filter((key) => record.streams[key])
+      .map((key) => [
+        key,
+        indexes
+          ? indexes.map((i) => record.streams[key][i])
+          : record.streams[key],
+      ])
+  );
+
+  return {
+    series_type: record.series_type,
+    original_size: record.original_size,
+    resolution,
+    point_count: indexes ? indexes.length : record.original_size,
+    available_keys: Object.keys(record.streams),
+    fetched_at: record.fetched_at,
+    streams,
+  };
+}
+
+// The GPS track as {lat, lng} points, or null if there isn't one
+function streamCoordinates(record, resolution) {
+  const { streams } = selectStreams(record, { keys: ["latlng"], resolution });
+  return streams.latlng?.map(([lat, lng]) => ({ lat, lng })) || null;
+}
+
+// Fetch and store streams for newly synced activities while the background
+// budget allows. The rest are fetched on demand. Returns how many were
+// stored.
+async function prefetchActivityStreams(athleteId, accessToken, activityIds) {
+  let stored = 0;
+
+  for (let i = 0; i < activityIds.length; i++) {
+    if (!hasBudget("background")) {
+      console.log(
+        `Strava budget low, leaving streams of ${
+          activityIds.length - i
+        } activities to be fetched on demand`
+      );
+      break;
+    }
+
+    try {
+      const record = await fetchStravaStreams(accessToken, activityIds[i]);
+      await storeActivityStreams(athleteId, activityIds[i], record);
+      stored++;
+    } catch (error) {
+      if (error instanceof StravaRateLimitError) {
+        break;
+      }
+      // Streams can always be fetched later, so don't fail the sync
+      console.warn(
+        `Failed to fetch streams for activity ${activityIds[i]}:`,
+        error.message
+      );
+    }
+  }
+
+  return stored;
+}
+
+module.exports = {
+  STREAM_KEYS,
+  RESOLUTIONS,
+  StreamsError,
+  parseStreamsQuery,
+  fetchStravaStreams,
+  loadActivityStreams,
+  selectStreams,
+  streamCoordinates,
+  prefetchActivityStreams,
+};
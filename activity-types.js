@@ -0,0 +1,157 @@
+// activity-types.js - Strava sport types and the categories we group them into
+//
+// Activities store Strava's sport_type verbatim, and their category is
+// worked out from it when read, so changing the grouping regroups stored
+// activities too. ACTIVITY_CATEGORIES replaces it with a JSON object of
+// category -> sport types, e.g. {"foot":["Run","Walk"],"cycle":["Ride"]}.
+
+const DEFAULT_ACTIVITY_CATEGORIES = {
+  foot: ["Run", "TrailRun", "VirtualRun", "Walk", "Hike"],
+  cycle: [
+    "Ride",
+    "MountainBikeRide",
+    "GravelRide",
+    "EBikeRide",
+    "EMountainBikeRide",
+    "VirtualRide",
+    "Velomobile",
+    "Handcycle",
+  ],
+  water: [
+    "Swim",
+    "Rowing",
+    "VirtualRow",
+    "Kayaking",
+    "Canoeing",
+    "StandUpPaddling",
+    "Surfing",
+    "Kitesurf",
+    "Windsurf",
+    "Sail",
+  ],
+  winter: [
+    "AlpineSki",
+    "BackcountrySki",
+    "NordicSki",
+    "Snowboard",
+    "Snowshoe",
+    "IceSkate",
+  ],
+  wheels: ["InlineSkate", "RollerSki", "Skateboard", "Wheelchair"],
+};
+
+// Sport types not in any category
+const OTHER_CATEGORY = "other";
+
+// Sport types to group stored rows written before sport_type was kept by
+const LEGACY_TYPE_SPORT_TYPES = { run: "Run", ride: "Ride", swim: "Swim" };
+
+// An object of category -> list of sport type strings
+function isValidCategories(categories) {
+  return (
+    !!categories &&
+    typeof categories === "object" &&
+    !Array.isArray(categories) &&
+    Object.keys(categories).length > 0 &&
+    Object.values(categories).every(
+      (sportTypes) =>
+        Array.isArray(sportTypes) &&
+        sportTypes.every((sportType) => typeof sportType === "string")
+    )
+  );
+}
+
+function loadActivityCategories() {
+  if (!process.env.ACTIVITY_CATEGORIES) {
+    return DEFAULT_ACTIVITY_CATEGORIES;
+  }
+
+  let categories;
+  try {
+    categories = JSON.parse(process.env.ACTIVITY_CATEGORIES);
+  } catch (error) {
+    console.error(
+      "Invalid ACTIVITY_CATEGORIES, using the default categories:",
+      error.message
+    );
+    return DEFAULT_ACTIVITY_CATEGORIES;
+  }
+
+  if (!isValidCategories(categories)) {
+    console.error(
+      "Invalid ACTIVITY_CATEGORIES, using the default categories: expected an object of category -> list of sport types"
+    );
+    return DEFAULT_ACTIVITY_CATEGORIES;
+  }
+
+  return categories;
+}
+
+const ACTIVITY_CATEGORIES = loadActivityCategories();
+
+// sport_type -> category
+const categoryBySportType = new Map();
+for (const [category, sportTypes] of Object.entries(ACTIVITY_CATEGORIES)) {
+  for (const sportType of sportTypes) {
+    categoryBySportType.set(sportType, category);
+  }
+}
+
+// Strava's sport_type, falling back to the older `type` field
+function getSportType(activity) {
+  return activity.sport_type || activity.type;
+}
+
+function getActivityCategory(sportType) {
+  return categoryBySportType.get(sportType) || OTHER_CATEGORY;
+}
+
+// Category and sport type of a stored activity, including legacy rows.
+// Rows synced before categories were worked out when read may still carry
+// a stored category; it's ignored.
+function describeStoredType(activity) {
+  if (activity.sport_type) {
+    return {
+      sport_type: activity.sport_type,
+      category: getActivityCategory(activity.sport_type),
+    };
+  }
+
+  return {
+    sport_type: null,
+    category: getActivityCategory(LEGACY_TYPE_SPORT_TYPES[activity.type]),
+  };
+}
+
+// Turn an activity_type filter value into what to match: a category
+// (checked with describeStoredType, as it isn't stored), or the stored
+// sport_type (case-insensitive for known types) or legacy run/ride/swim
+// type
+function resolveActivityTypeFilter(value) {
+  if (!value || value === "all") {
+    return null;
+  }
+
+  if (ACTIVITY_CATEGORIES[value] || value === OTHER_CATEGORY) {
+    return { category: value };
+  }
+
+  if (LEGACY_TYPE_SPORT_TYPES[value]) {
+    return { type: value };
+  }
+
+  const knownSportType = [...categoryBySportType.keys()].find(
+    (sportType) => sportType.toLowerCase() === value.toLowerCase()
+  );
+
+  return { sport_type: knownSportType || value };
+}
+
+module.exports = {
+  ACTIVITY_CATEGORIES,
+  OTHER_CATEGORY,
+  getSportType,
+  getActivityCategory,
+  describeStoredType,
+  resolveActivityTypeFilter,
+};
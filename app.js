@@ -0,0 +1,1043 @@
+// app.js - Express application shared by server.js and lambda.js
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const axios = require("axios");
+
+const {
+  storeAuthToken,
+  getAuthToken,
+  getValidAccessToken,
+  storeActivities,
+  InvalidCursorError,
+  getActivitiesPage,
+  getActivity,
+  getActivityCount,
+  getActivityTypes,
+  updateSyncJob,
+  getSyncJob,
+  getSyncJobs,
+  getFilterSettings,
+  storeFilterSettings,
+  getActivityOverrides,
+  listActivityOverrides,
+  updateActivityOverrides,
+  createExportJob,
+  getExportJob,
+  getExportDownload,
+  isExportExpired,
+  STORAGE_BACKEND,
+} = require("./storage");
+const {
+  requireAuth,
+  setSessionCookie,
+  clearSessionCookie,
+  REQUESTED_SCOPES,
+  createOAuthState,
+  verifyOAuthState,
+  parseScopes,
+  hasRequiredScopes,
+  canReadPrivateActivities,
+  createExportDownloadToken,
+  verifyExportDownloadToken,
+} = require("./auth");
+const {
+  SyncOptionsError,
+  parseSyncRange,
+  findActiveSyncJob,
+  createSyncJobFor,
+  fetchStravaActivity,
+  processStravaActivity,
+} = require("./sync");
+const {
+  ACTIVITY_CATEGORIES,
+  OTHER_CATEGORY,
+  describeStoredType,
+  resolveActivityTypeFilter,
+} = require("./activity-types");
+const {
+  DEFAULT_FILTER_RULES,
+  FilterRulesError,
+  validateFilterSettings,
+  getActivityFilters,
+} = require("./activity-filters");
+const {
+  OverridesError,
+  validateOverrides,
+  applyOverrides,
+} = require("./activity-overrides");
+const { UNIT_SYSTEMS, formatActivity } = require("./activity-metrics");
+const {
+  PRECISIONS,
+  ROUTE_FORMATS,
+  formatRoute,
+  routePayloadSizes,
+} = require("./polyline");
+const {
+  StreamsError,
+  parseStreamsQuery,
+  loadActivityStreams,
+  selectStreams,
+  streamCoordinates,
+} = require("./activity-streams");
+const {
+  StravaRateLimitError,
+  getRateLimitStatus,
+} = require("./strava-client");
+const { disconnectAthlete } = require("./account");
+const {
+  EXPORT_INLINE_MAX_ACTIVITIES,
+  runExportTask,
+} = require("./account-export");
+const { verifySubscriptionChallenge } = require("./webhooks");
+const {
+  enqueueSync,
+  enqueueWebhookEvent,
+  enqueueExport,
+} = require("./sync-queue");
+
+const app = express();
+
+// Environment variables
+const STRAVA_CLIENT_ID = process.env.STRAVA_CLIENT_ID;
+const STRAVA_CLIENT_SECRET = process.env.STRAVA_CLIENT_SECRET;
+const STRAVA_REDIRECT_URI =
+  process.env.STRAVA_REDIRECT_URI ||
+  "http://localhost:3001/auth/strava/callback";
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+// Middleware
+app.use(
+  cors({
+    origin: FRONTEND_URL,
+    credentials: true,
+  })
+);
+app.use(express.json({ limit: "10mb" }));
+app.use(cookieParser());
+
+// ========================================
+// STRAVA OAUTH ROUTES
+// ========================================
+
+// Initiate Strava OAuth
+app.get("/auth/strava", (req, res) => {
+  const params = new URLSearchParams({
+    client_id: STRAVA_CLIENT_ID,
+    response_type: "code",
+    redirect_uri: STRAVA_REDIRECT_URI,
+    approval_prompt: "force",
+    scope: REQUESTED_SCOPES.join(","),
+    state: createOAuthState(res),
+  });
+  const stravaAuthUrl = `https://www.strava.com/oauth/authorize?${params}`;
+
+  console.log("Redirecting to Strava OAuth");
+  res.redirect(stravaAuthUrl);
+});
+
+// Handle Strava OAuth callback
+app.get("/auth/strava/callback", async (req, res) => {
+  const { code, error, scope } = req.query;
+
+  if (!verifyOAuthState(req, res)) {
+    console.error("Invalid or expired OAuth state");
+    return res.redirect(`${FRONTEND_URL}?error=invalid_state`);
+  }
+
+  if (error) {
+    console.error("Strava OAuth error:", error);
+    return res.redirect(`${FRONTEND_URL}?error=auth_failed`);
+  }
+
+  if (!code) {
+    console.error("No authorization code received");
+    return res.redirect(`${FRONTEND_URL}?error=no_code`);
+  }
+
+  // Athletes can untick scopes on Strava's consent screen
+  const scopes = parseScopes(scope);
+  if (!hasRequiredScopes(scopes)) {
+    console.error("Required scopes not granted:", scopes);
+    return res.redirect(`${FRONTEND_URL}?error=insufficient_scope`);
+  }
+
+  try {
+    console.log("Exchanging code for access token...");
+
+    const tokenResponse = await axios.post(
+      "https://www.strava.com/oauth/token",
+      {
+        client_id: STRAVA_CLIENT_ID,
+        client_secret: STRAVA_CLIENT_SECRET,
+        code: code,
+        grant_type: "authorization_code",
+      }
+    );
+
+    const { access_token, refresh_token, expires_at, athlete } =
+      tokenResponse.data;
+
+    console.log("Successfully authenticated athlete:", athlete.id);
+
+    // Store tokens in DynamoDB
+    await storeAuthToken(athlete.id, {
+      access_token,
+      refresh_token,
+      expires_at,
+      athlete_info: athlete,
+      scopes,
+    });
+
+    // Issue the session the rest of the API authenticates against
+    setSessionCookie(res, athlete.id);
+
+    res.redirect(`${FRONTEND_URL}?auth=success`);
+  } catch (error) {
+    console.error(
+      "Error exchanging code for token:",
+      error.response?.data || error.message
+    );
+    res.redirect(`${FRONTEND_URL}?error=token_exchange_failed`);
+  }
+});
+
+// Check authentication status for the session athlete
+// (the :athlete_id form is kept for older frontends)
+app.get("/auth/status{/:athlete_id}", requireAuth, async (req, res) => {
+  const athlete_id = req.athleteId;
+
+  try {
+    const authData = await getAuthToken(athlete_id);
+
+    if (!authData) {
+      return res
+        .status(404)
+        .json({ authenticated: false, message: "No authentication found" });
+    }
+
+    // Check if token is still valid (with buffer)
+    const now = Math.floor(Date.now() / 1000);
+    const isValid = !authData.expires_at || now + 300 < authData.expires_at;
+
+    res.json({
+      authenticated: true,
+      athlete_info: authData.athlete_info,
+      scopes: authData.scopes || null,
+      private_activities: canReadPrivateActivities(authData),
+      needs_reauth: !!authData.needs_reauth,
+      token_valid: isValid,
+      expires_at: authData.expires_at,
+    });
+  } catch (error) {
+    console.error("Error checking auth status:", error);
+    res.status(500).json({ error: "Failed to check authentication status" });
+  }
+});
+
+// End the current session
+app.post("/auth/logout", (req, res) => {
+  clearSessionCookie(res);
+  res.json({ authenticated: false });
+});
+
+// Disconnect: revoke access at Strava and delete all stored data
+app.delete("/auth/strava", requireAuth, async (req, res) => {
+  const athlete_id = req.athleteId;
+
+  try {
+    const summary = await disconnectAthlete(athlete_id);
+
+    clearSessionCookie(res);
+    res.json(summary);
+  } catch (error) {
+    console.error(
+      "Error disconnecting athlete:",
+      error.response?.data || error.message
+    );
+
+    if (error.response) {
+      return res
+        .status(502)
+        .json({ error: "Failed to deauthorize at Strava, please retry" });
+    }
+
+    res.status(500).json({ error: "Failed to disconnect athlete" });
+  }
+});
+
+// ========================================
+// ACTIVITY ROUTES
+// ========================================
+
+// Requested unit system (?units=metric|imperial), or null if unknown
+function getRequestedUnits(req) {
+  const { units = "metric" } = req.query;
+  return UNIT_SYSTEMS[units] ? units : null;
+}
+
+// Requested route format (?format=coordinates|polyline), or null if unknown
+function getRequestedRouteFormat(req) {
+  const { format = "coordinates" } = req.query;
+  return ROUTE_FORMATS.includes(format) ? format : null;
+}
+
+function invalidRouteFormatResponse(res) {
+  return res.status(400).json({
+    error: `format must be one of ${ROUTE_FORMATS.join(", ")}`,
+  });
+}
+
+// Largest page GET /activities returns
+const MAX_ACTIVITIES_PAGE_SIZE = 200;
+
+function invalidUnitsResponse(res) {
+  return res.status(400).json({
+    error: `units must be one of ${Object.keys(UNIT_SYSTEMS).join(", ")}`,
+  });
+}
+
+// 503 with Retry-After for when Strava's rate limit stops a request
+function rateLimitedResponse(res, error) {
+  res.set(
+    "Retry-After",
+    Math.ceil((error.retryAt.getTime() - Date.now()) / 1000).toString()
+  );
+  return res
+    .status(503)
+    .json({ error: "Strava rate limit reached, try again later" });
+}
+
+// Get activities for authenticated user in start date order, with the
+// athlete's overrides merged in. activity_type may be a category (foot,
+// cycle...), a Strava sport type, or a legacy run/ride/swim. Hidden
+// activities are left out unless include_hidden=true. Distances and speeds
+// are in `units`, and routes in `format` (coordinates, or encoded
+// polylines for clients that decode them). Returns everything unless
+// `limit` is set; pass `next_cursor` back as `cursor` for the next page.
+app.get("/activities", requireAuth, async (req, res) => {
+  const athlete_id = req.athleteId;
+  const {
+    activity_type,
+    race_filter,
+    include_hidden,
+    cursor,
+    order = "desc",
+  } = req.query;
+
+  const units = getRequestedUnits(req);
+  if (!units) {
+    return invalidUnitsResponse(res);
+  }
+
+  const format = getRequestedRouteFormat(req);
+  if (!format) {
+    return invalidRouteFormatResponse(res);
+  }
+
+  const limit =
+    req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (
+    limit !== undefined &&
+    (!Number.isInteger(limit) || limit < 1 || limit > MAX_ACTIVITIES_PAGE_SIZE)
+  ) {
+    return res.status(400).json({
+      error: `limit must be between 1 and ${MAX_ACTIVITIES_PAGE_SIZE}`,
+    });
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return res.status(400).json({ error: "order must be asc or desc" });
+  }
+
+  try {
+    // Verify authentication
+    const authData = await getAuthToken(athlete_id);
+    if (!authData) {
+      return res.status(401).json({ error: "User not authenticated" });
+    }
+
+    console.log("Loading activities from DynamoDB for athlete:", athlete_id);
+
+    const overrides = await listActivityOverrides(athlete_id);
+
+    // Categories aren't stored, so they're matched here like the race and
+    // hidden filters, which apply to the overridden values
+    const { category, ...typeFilter } =
+      resolveActivityTypeFilter(activity_type) || {};
+    const isListed = (activity) => {
+      const merged = applyOverrides(activity, overrides.get(activity.id));
+      return (
+        (!category || describeStoredType(activity).category === category) &&
+        (include_hidden === "true" || !merged.hidden) &&
+        (!race_filter ||
+          race_filter === "all" ||
+          merged.isRace === (race_filter === "race"))
+      );
+    };
+
+    // Get activities from DynamoDB with filtering
+    const page = await getActivitiesPage(athlete_id, typeFilter, {
+      limit,
+      cursor,
+      order,
+      keep: isListed,
+    });
+
+    const activities = page.activities.map((activity) =>
+      formatRoute(
+        formatActivity(
+          applyOverrides(activity, overrides.get(activity.id)),
+          units
+        ),
+        { format }
+      )
+    );
+
+    const activityCount = await getActivityCount(athlete_id);
+
+    res.json({
+      activities,
+      cached: true, // Always from DynamoDB now
+      total: activityCount,
+      returned: activities.length,
+      hidden: [...overrides.values()].filter((override) => override.hidden)
+        .length,
+      next_cursor: page.next_cursor,
+      // How much smaller the routes are as polylines
+      route_payload: { format, ...routePayloadSizes(page.activities) },
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error("Error fetching activities:", error);
+
+    if (error.message.includes("No authentication data found")) {
+      return res.status(401).json({ error: "Authentication expired" });
+    }
+
+    res.status(500).json({ error: "Failed to fetch activities" });
+  }
+});
+
+// Sport types and categories the athlete has activities in, with counts
+app.get("/activity-types", requireAuth, async (req, res) => {
+  try {
+    const categories = {};
+    const storedTypes = await getActivityTypes(req.athleteId);
+
+    for (const storedType of storedTypes) {
+      const { sport_type, category } = describeStoredType(storedType);
+
+      categories[category] = categories[category] || {
+        category,
+        count: 0,
+        sport_types: {},
+      };
+      categories[category].count++;
+
+      // Rows synced before sport_type was kept only have a category
+      const key = sport_type || "unknown";
+      categories[category].sport_types[key] =
+        (categories[category].sport_types[key] || 0) + 1;
+    }
+
+    res.json({
+      categories: Object.values(categories)
+        .sort((a, b) => b.count - a.count)
+        .map((category) => ({
+          ...category,
+          sport_types: Object.entries(category.sport_types)
+            .map(([sport_type, count]) => ({ sport_type, count }))
+            .sort((a, b) => b.count - a.count),
+        })),
+      available_categories: [
+        ...Object.keys(ACTIVITY_CATEGORIES),
+        OTHER_CATEGORY,
+      ],
+      total: storedTypes.length,
+    });
+  } catch (error) {
+    console.error("Error getting activity types:", error);
+    res.status(500).json({ error: "Failed to get activity types" });
+  }
+});
+
+// Sync activities from Strava (runs on the sync worker). `reconcile: true`
+// also applies edits and deletions made on Strava to stored activities.
+// `after`/`before` (epoch seconds or ISO dates) limit the sync to a date
+// range, and `activity_ids` resyncs just those activities.
+app.post("/activities/sync", requireAuth, async (req, res) => {
+  const athlete_id = req.athleteId;
+  const { full_sync = false, reconcile = false } = req.body || {};
+
+  let range;
+  try {
+    range = parseSyncRange(req.body);
+  } catch (error) {
+    if (error instanceof SyncOptionsError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  try {
+    // Verify authentication first
+    await getValidAccessToken(athlete_id);
+    const authData = await getAuthToken(athlete_id);
+    const privateActivities = canReadPrivateActivities(authData);
+
+    // Only one sync per athlete at a time
+    const activeJob = await findActiveSyncJob(athlete_id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: "A sync is already in progress",
+        job_id: activeJob.job_id,
+        status: activeJob.state,
+      });
+    }
+
+    const job = await createSyncJobFor(athlete_id, {
+      full_sync,
+      reconcile,
+      range,
+    });
+
+    try {
+      await enqueueSync({
+        athlete_id,
+        job_id: job.job_id,
+        full_sync,
+        reconcile,
+        range,
+      });
+    } catch (queueError) {
+      await updateSyncJob(athlete_id, job.job_id, {
+        state: "failed",
+        error_message: "Failed to start sync worker",
+        finished_at: new Date().toISOString(),
+      });
+      throw queueError;
+    }
+
+    // Respond immediately that sync has been queued
+    res.json({
+      message: "Sync started in background",
+      job_id: job.job_id,
+      sync_type: job.type,
+      range: job.range,
+      resumed_from: job.resumed_from,
+      status: job.state,
+      private_activities: privateActivities,
+      started_at: job.created_at,
+    });
+  } catch (error) {
+    console.error("Error starting sync:", error);
+
+    if (error.message.includes("No authentication data found")) {
+      return res.status(401).json({ error: "Authentication expired" });
+    }
+
+    res.status(500).json({ error: "Failed to start sync" });
+  }
+});
+
+// Get sync status for the latest job (or ?job_id=) plus recent history
+app.get(
+  "/activities/sync/status{/:athlete_id}",
+  requireAuth,
+  async (req, res) => {
+    const athlete_id = req.athleteId;
+    const { job_id } = req.query;
+
+    try {
+      const history = await getSyncJobs(athlete_id);
+      const job = job_id
+        ? await getSyncJob(athlete_id, job_id)
+        : history[0] || null;
+
+      if (job_id && !job) {
+        return res.status(404).json({ error: "Sync job not found" });
+      }
+
+      const totalActivities = await getActivityCount(athlete_id);
+
+      res.json({
+        status: job ? job.state : "never_synced",
+        job,
+        history,
+        total_activities: totalActivities,
+        last_checked: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error getting sync status:", error);
+      res.status(500).json({ error: "Failed to get sync status" });
+    }
+  }
+);
+
+// Get specific activity details, with the full GPS track from its streams
+// (see activity-streams.js) downsampled to ?resolution= (medium by
+// default). ?format=polyline returns it encoded, at ?precision= 5 or 6.
+// If the streams can't be loaded, the summary route is returned with
+// `streams: null`. Activities that haven't synced yet are fetched from
+// Strava.
+app.get("/activities/:id", requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const athlete_id = req.athleteId;
+
+  const units = getRequestedUnits(req);
+  if (!units) {
+    return invalidUnitsResponse(res);
+  }
+
+  const format = getRequestedRouteFormat(req);
+  if (!format) {
+    return invalidRouteFormatResponse(res);
+  }
+
+  const precision =
+    req.query.precision === undefined ? undefined : Number(req.query.precision);
+  if (precision !== undefined && !PRECISIONS.includes(precision)) {
+    return res
+      .status(400)
+      .json({ error: `precision must be one of ${PRECISIONS.join(", ")}` });
+  }
+
+  let resolution;
+  try {
+    ({ resolution } = parseStreamsQuery({
+      keys: "latlng",
+      resolution: req.query.resolution || "medium",
+    }));
+  } catch (error) {
+    if (error instanceof StreamsError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  try {
+    // First try to get from DynamoDB
+    let activity = await getActivity(id);
+
+    // Never reveal another athlete's activity
+    if (activity && activity.athlete_id !== athlete_id) {
+      return res.status(404).json({ error: "Activity not found" });
+    }
+
+    // If not synced yet, fetch it from Strava and store its summary
+    if (!activity) {
+      console.log("Fetching activity from Strava:", id);
+
+      const accessToken = await getValidAccessToken(athlete_id);
+
+      const stravaActivity = await fetchStravaActivity(accessToken, id, {
+        priority: "interactive",
+      });
+
+      if (stravaActivity.athlete?.id?.toString() !== athlete_id) {
+        return res.status(404).json({ error: "Activity not found" });
+      }
+
+      // Virtual, no GPS, or excluded by the athlete's filter rules
+      const processedActivity = await processStravaActivity(stravaActivity, {
+        filters: await getActivityFilters(athlete_id),
+      });
+      if (!processedActivity) {
+        return res
+          .status(404)
+          .json({ error: "Activity not found or is virtual" });
+      }
+
+      activity = { ...processedActivity, athlete_id: athlete_id.toString() };
+
+      try {
+        await storeActivities([activity]);
+        console.log("Stored activity in DynamoDB");
+      } catch (storeError) {
+        console.warn("Failed to store activity:", storeError);
+      }
+    }
+
+    // The detailed track lives with the streams, not on the activity.
+    // Without them (Strava down, rate limited...) the summary still helps.
+    let streams = null;
+    try {
+      streams = await loadActivityStreams(athlete_id, id);
+    } catch (error) {
+      console.warn(
+        `Failed to load streams for activity ${id}:`,
+        error.response?.data || error.message
+      );
+    }
+    const coordinates = streams && streamCoordinates(streams, resolution);
+
+    let detailedActivity = activity;
+    if (coordinates) {
+      detailedActivity = { ...activity, coordinates };
+    } else if (!streams) {
+      detailedActivity = { ...activity, streams: null };
+    }
+
+    res.json(
+      formatRoute(
+        formatActivity(
+          applyOverrides(
+            detailedActivity,
+            await getActivityOverrides(athlete_id, id)
+          ),
+          units
+        ),
+        { format, precision }
+      )
+    );
+  } catch (error) {
+    console.error(
+      "Error fetching activity details:",
+      error.response?.data || error.message
+    );
+
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: "Strava token expired" });
+    }
+
+    if (error instanceof StravaRateLimitError) {
+      return rateLimitedResponse(res, error);
+    }
+
+    res.status(500).json({ error: "Failed to fetch activity details" });
+  }
+});
+
+// An activity's streams, fetched from Strava the first time. ?keys= picks
+// streams (comma-separated, all by default) and ?resolution= (low, medium,
+// high or full) downsamples them.
+app.get("/activities/:id/streams", requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const athlete_id = req.athleteId;
+
+  let query;
+  try {
+    query = parseStreamsQuery(req.query);
+  } catch (error) {
+    if (error instanceof StreamsError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  try {
+    const activity = await getActivity(id);
+
+    if (!activity || activity.athlete_id !== athlete_id) {
+      return res.status(404).json({ error: "Activity not found" });
+    }
+
+    const streams = await loadActivityStreams(athlete_id, id);
+
+    res.json({
+      activity_id: activity.id,
+      ...selectStreams(streams, query),
+    });
+  } catch (error) {
+    console.error(
+      "Error fetching activity streams:",
+      error.response?.data || error.message
+    );
+
+    if (error.response?.status === 401) {
+      return res.status(401).json({ error: "Strava token expired" });
+    }
+
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: "Activity not found on Strava" });
+    }
+
+    if (error instanceof StravaRateLimitError) {
+      return rateLimitedResponse(res, error);
+    }
+
+    res.status(500).json({ error: "Failed to fetch activity streams" });
+  }
+});
+
+// Override fields on a stored activity (race flag, hidden, name, notes,
+// tags, country); null clears an override. Overrides are kept apart from
+// synced fields, so resyncs never undo them.
+app.patch("/activities/:id", requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const athlete_id = req.athleteId;
+
+  const units = getRequestedUnits(req);
+  if (!units) {
+    return invalidUnitsResponse(res);
+  }
+
+  let changes;
+  try {
+    changes = validateOverrides(req.body);
+  } catch (error) {
+    if (error instanceof OverridesError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  try {
+    const activity = await getActivity(id);
+
+    if (!activity || activity.athlete_id !== athlete_id) {
+      return res.status(404).json({ error: "Activity not found" });
+    }
+
+    const overrides = await updateActivityOverrides(athlete_id, id, changes);
+    res.json(
+      formatRoute(formatActivity(applyOverrides(activity, overrides), units))
+    );
+  } catch (error) {
+    console.error("Error updating activity overrides:", error);
+    res.status(500).json({ error: "Failed to update activity" });
+  }
+});
+
+// ========================================
+// SETTINGS ROUTES
+// ========================================
+
+function filterSettingsResponse(settings) {
+  return {
+    rules: settings?.rules || [],
+    disabled_defaults: settings?.disabled_defaults || [],
+    defaults: DEFAULT_FILTER_RULES,
+    updated_at: settings?.updated_at || null,
+  };
+}
+
+// Get the athlete's activity filter rules, alongside the defaults
+app.get("/settings/filters", requireAuth, async (req, res) => {
+  try {
+    const settings = await getFilterSettings(req.athleteId);
+    res.json(filterSettingsResponse(settings));
+  } catch (error) {
+    console.error("Error getting filter settings:", error);
+    res.status(500).json({ error: "Failed to get filter settings" });
+  }
+});
+
+// Replace the athlete's activity filter rules. Applies to future syncs;
+// a reconcile sync applies them to activities already stored.
+app.put("/settings/filters", requireAuth, async (req, res) => {
+  let settings;
+  try {
+    settings = validateFilterSettings(req.body);
+  } catch (error) {
+    if (error instanceof FilterRulesError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  try {
+    await storeFilterSettings(req.athleteId, settings);
+    const stored = await getFilterSettings(req.athleteId);
+    res.json(filterSettingsResponse(stored));
+  } catch (error) {
+    console.error("Error storing filter settings:", error);
+
+    if (error.name === "ConditionalCheckFailedException") {
+      return res.status(401).json({ error: "User not authenticated" });
+    }
+
+    res.status(500).json({ error: "Failed to store filter settings" });
+  }
+});
+
+// ========================================
+// ACCOUNT EXPORT ROUTES
+// ========================================
+
+function exportFileName(athleteId) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `strava-activities-export-${athleteId}-${date}.zip`;
+}
+
+function setExportHeaders(res, athleteId) {
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${exportFileName(
+      athleteId
+    )}"`,
+  });
+}
+
+// Send a finished export's archive: a redirect to a presigned S3 URL when
+// deployed (Lambda responses are capped at 6MB), or the archive itself
+async function sendExportDownload(res, job) {
+  const download = await getExportDownload(
+    job.athlete_id,
+    job.job_id,
+    exportFileName(job.athlete_id)
+  );
+
+  if (!download) {
+    return res.status(410).json({ error: "Export has expired" });
+  }
+
+  if (download.url) {
+    return res.redirect(download.url);
+  }
+
+  setExportHeaders(res, job.athlete_id);
+  res.send(download.archive);
+}
+
+// An export job as returned to the client, with a download link once the
+// archive is ready
+function exportJobResponse(job) {
+  const { ttl, ...rest } = job;
+  const expired = job.state === "succeeded" && isExportExpired(job.expires_at);
+  const downloadable = job.state === "succeeded" && !expired;
+
+  return {
+    ...rest,
+    state: expired ? "expired" : job.state,
+    status_url: `/account/export/${job.job_id}`,
+    download_url: downloadable
+      ? `/account/export/${job.job_id}/download?token=${createExportDownloadToken(
+          job.athlete_id,
+          job.job_id,
+          job.expires_at
+        )}`
+      : null,
+  };
+}
+
+// Export everything stored for the athlete as a ZIP: a manifest with the
+// profile and settings, a JSON record and a GPX track per activity (see
+// account-export.js). Small accounts are built during the request and
+// downloaded directly; larger ones, or ?async=true, are built in the
+// background and return 202 with a job to poll.
+app.get("/account/export", requireAuth, async (req, res) => {
+  const athlete_id = req.athleteId;
+
+  try {
+    const authData = await getAuthToken(athlete_id);
+    if (!authData) {
+      return res.status(401).json({ error: "User not authenticated" });
+    }
+
+    const activityCount = await getActivityCount(athlete_id);
+
+    if (
+      req.query.async !== "true" &&
+      activityCount <= EXPORT_INLINE_MAX_ACTIVITIES
+    ) {
+      const job = await runExportTask(await createExportJob(athlete_id));
+
+      if (job.state !== "succeeded") {
+        return res.status(500).json({ error: "Failed to export account" });
+      }
+
+      return await sendExportDownload(res, job);
+    }
+
+    const job = await createExportJob(athlete_id);
+    await enqueueExport(job);
+
+    res.status(202).json(exportJobResponse(job));
+  } catch (error) {
+    console.error("Error exporting account:", error);
+    res.status(500).json({ error: "Failed to export account" });
+  }
+});
+
+// Status of an asynchronous export, with its download link when ready
+app.get("/account/export/:job_id", requireAuth, async (req, res) => {
+  try {
+    const job = await getExportJob(req.athleteId, req.params.job_id);
+
+    if (!job) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+
+    res.json(exportJobResponse(job));
+  } catch (error) {
+    console.error("Error getting export job:", error);
+    res.status(500).json({ error: "Failed to get export status" });
+  }
+});
+
+// Download a finished export. The signed token in the link stands in for
+// the session, and expires with the archive.
+app.get("/account/export/:job_id/download", async (req, res) => {
+  const download = req.query.token
+    ? verifyExportDownloadToken(String(req.query.token))
+    : null;
+
+  if (!download || download.jobId !== req.params.job_id) {
+    return res.status(403).json({ error: "Invalid or expired download link" });
+  }
+
+  try {
+    const job = await getExportJob(download.athleteId, download.jobId);
+
+    if (!job || job.state !== "succeeded" || isExportExpired(job.expires_at)) {
+      return res.status(410).json({ error: "Export has expired" });
+    }
+
+    await sendExportDownload(res, job);
+  } catch (error) {
+    console.error("Error downloading export:", error);
+    res.status(500).json({ error: "Failed to download export" });
+  }
+});
+
+// ========================================
+// WEBHOOK ROUTES
+// ========================================
+
+// Strava push subscription validation handshake
+app.get("/webhooks/strava", (req, res) => {
+  const challenge = verifySubscriptionChallenge(req.query);
+
+  if (!challenge) {
+    return res.status(403).json({ error: "Invalid verification request" });
+  }
+
+  res.json({ "hub.challenge": challenge });
+});
+
+// Strava push events (activity create/update/delete, deauthorization)
+app.post("/webhooks/strava", (req, res) => {
+  // Strava expects an acknowledgement within two seconds
+  enqueueWebhookEvent(req.body || {})
+    .then(() => res.status(200).json({ received: true }))
+    .catch((error) => {
+      console.error("Error queueing Strava webhook event:", error);
+      res.status(500).json({ error: "Failed to queue event" });
+    });
+});
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || "development",
+    database: "connected",
+    storage: STORAGE_BACKEND,
+    tables: [
+      "strava-activities",
+      "strava-auth",
+      "strava-sync-jobs",
+      "strava-activity-overrides",
+      "strava-activity-streams",
+      "strava-account-exports",
+    ],
+    strava_rate_limits: getRateLimitStatus(),
+  });
+});
+
+module.exports = app;
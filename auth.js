@@ -0,0 +1,249 @@
+// auth.js - Session, OAuth state and scope handling for authenticated API routes
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const SESSION_COOKIE = "strava_session";
+const SESSION_ISSUER = "strava-activities-api";
+const OAUTH_STATE_COOKIE = "strava_oauth_state";
+const OAUTH_STATE_AUDIENCE = "strava-oauth-state";
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+const EXPORT_DOWNLOAD_AUDIENCE = "strava-account-export";
+
+// activity:read is requested alongside activity:read_all so athletes who
+// untick private activities still grant access to their public ones
+const REQUESTED_SCOPES = ["read", "activity:read", "activity:read_all"];
+const ACTIVITY_SCOPES = ["activity:read", "activity:read_all"];
+
+// Default session lifetime: 30 days
+const SESSION_TTL_SECONDS =
+  parseInt(process.env.SESSION_TTL_SECONDS, 10) || 30 * 24 * 60 * 60;
+
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+
+  if (!secret) {
+    throw new Error("SESSION_SECRET is not configured");
+  }
+
+  return secret;
+}
+
+function getCookieOptions() {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.SESSION_COOKIE_SAMESITE || "lax",
+    path: "/",
+  };
+
+  if (process.env.SESSION_COOKIE_DOMAIN) {
+    options.domain = process.env.SESSION_COOKIE_DOMAIN;
+  }
+
+  return options;
+}
+
+// ========================================
+// SESSION OPERATIONS
+// ========================================
+
+// Sign a session token for an athlete
+function createSessionToken(athleteId) {
+  return jwt.sign({}, getSessionSecret(), {
+    subject: athleteId.toString(),
+    issuer: SESSION_ISSUER,
+    expiresIn: SESSION_TTL_SECONDS,
+  });
+}
+
+// Verify a session token and return the athlete ID it was issued for
+function verifySessionToken(token) {
+  const payload = jwt.verify(token, getSessionSecret(), {
+    issuer: SESSION_ISSUER,
+  });
+
+  return payload.sub;
+}
+
+// Issue the session cookie after a successful OAuth exchange
+function setSessionCookie(res, athleteId) {
+  res.cookie(SESSION_COOKIE, createSessionToken(athleteId), {
+    ...getCookieOptions(),
+    maxAge: SESSION_TTL_SECONDS * 1000,
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, getCookieOptions());
+}
+
+// ========================================
+// EXPORT DOWNLOAD LINKS
+// ========================================
+
+// Sign a download token for a finished export, valid until the archive
+// expires. The link works without the session cookie, e.g. from an email.
+function createExportDownloadToken(athleteId, jobId, expiresAt) {
+  const expiresIn = Math.max(
+    1,
+    Math.floor((Date.parse(expiresAt) - Date.now()) / 1000)
+  );
+
+  return jwt.sign({ job_id: jobId }, getSessionSecret(), {
+    subject: athleteId.toString(),
+    issuer: SESSION_ISSUER,
+    audience: EXPORT_DOWNLOAD_AUDIENCE,
+    expiresIn,
+  });
+}
+
+// Verify a download token. Returns { athleteId, jobId }, or null if it's
+// invalid or expired.
+function verifyExportDownloadToken(token) {
+  try {
+    const payload = jwt.verify(token, getSessionSecret(), {
+      issuer: SESSION_ISSUER,
+      audience: EXPORT_DOWNLOAD_AUDIENCE,
+    });
+    return { athleteId: payload.sub, jobId: payload.job_id };
+  } catch (error) {
+    console.warn("Rejected export download token:", error.message);
+    return null;
+  }
+}
+
+// ========================================
+// OAUTH STATE & SCOPES
+// ========================================
+
+// Create a signed, expiring state value for the Strava authorize redirect.
+// The nonce is also set as a cookie so the callback can only complete in
+// the browser that started the flow.
+function createOAuthState(res) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  res.cookie(OAUTH_STATE_COOKIE, nonce, {
+    ...getCookieOptions(),
+    maxAge: OAUTH_STATE_TTL_SECONDS * 1000,
+  });
+
+  return jwt.sign({ nonce }, getSessionSecret(), {
+    issuer: SESSION_ISSUER,
+    audience: OAUTH_STATE_AUDIENCE,
+    expiresIn: OAUTH_STATE_TTL_SECONDS,
+  });
+}
+
+// Check the state returned by Strava against the signature, expiry and cookie
+function verifyOAuthState(req, res) {
+  const { state } = req.query;
+  const expectedNonce = req.cookies?.[OAUTH_STATE_COOKIE];
+
+  res.clearCookie(OAUTH_STATE_COOKIE, getCookieOptions());
+
+  if (!state || !expectedNonce) {
+    return false;
+  }
+
+  try {
+    const payload = jwt.verify(state, getSessionSecret(), {
+      issuer: SESSION_ISSUER,
+      audience: OAUTH_STATE_AUDIENCE,
+    });
+    return payload.nonce === expectedNonce;
+  } catch (error) {
+    console.warn("Rejected OAuth state:", error.message);
+    return false;
+  }
+}
+
+// Parse Strava's comma-separated scope parameter
+function parseScopes(scope) {
+  if (!scope) {
+    return [];
+  }
+
+  return scope
+    .split(/[ ,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// read plus at least one activity scope is needed to build the map
+function hasRequiredScopes(scopes) {
+  return (
+    scopes.includes("read") &&
+    ACTIVITY_SCOPES.some((scope) => scopes.includes(scope))
+  );
+}
+
+// Whether private ("Only You") activities are visible with this auth record.
+// Records stored before scopes were tracked were granted activity:read_all.
+function canReadPrivateActivities(authData) {
+  if (!authData?.scopes) {
+    return true;
+  }
+
+  return authData.scopes.includes("activity:read_all");
+}
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+
+// Require a valid session and expose the athlete as req.athleteId.
+// A client-supplied athlete_id is only accepted if it matches the session.
+function requireAuth(req, res, next) {
+  const token = req.cookies?.[SESSION_COOKIE];
+
+  if (!token) {
+    return res.status(401).json({ error: "Not authenticated" });
+  }
+
+  let athleteId;
+  try {
+    athleteId = verifySessionToken(token);
+  } catch (error) {
+    console.warn("Rejected session token:", error.message);
+    clearSessionCookie(res);
+    return res.status(401).json({ error: "Session expired" });
+  }
+
+  const requestedAthleteId =
+    req.params?.athlete_id ?? req.query?.athlete_id ?? req.body?.athlete_id;
+
+  if (
+    requestedAthleteId !== undefined &&
+    requestedAthleteId.toString() !== athleteId
+  ) {
+    return res
+      .status(403)
+      .json({ error: "athlete_id does not match the authenticated session" });
+  }
+
+  req.athleteId = athleteId;
+  next();
+}
+
+module.exports = {
+  // Session operations
+  createSessionToken,
+  verifySessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+
+  // Export download links
+  createExportDownloadToken,
+  verifyExportDownloadToken,
+
+  // OAuth state & scopes
+  REQUESTED_SCOPES,
+  createOAuthState,
+  verifyOAuthState,
+  parseScopes,
+  hasRequiredScopes,
+  canReadPrivateActivities,
+
+  // Middleware
+  requireAuth,
+};
@@ -0,0 +1,162 @@
+// geocoding.js - Country detection for activity start points
+const axios = require("axios");
+
+// Accurate country detection using Google Geocoding API with fallback
+async function getCountryFromCoordinates(startLatlng) {
+  if (!startLatlng || startLatlng.length !== 2) {
+    console.log("Invalid coordinates:", startLatlng);
+    return "Unknown";
+  }
+
+  const [lat, lng] = startLatlng;
+
+  // Try Google Geocoding API first (most accurate)
+  try {
+    const country = await getCountryFromGoogle(lat, lng);
+    if (country && country !== "Unknown") {
+      console.log(
+        `✅ Google Geocoding: ${lat.toFixed(4)}, ${lng.toFixed(
+          4
+        )} -> ${country}`
+      );
+      return country;
+    }
+  } catch (error) {
+    console.warn(
+      `Google Geocoding failed for ${lat.toFixed(4)}, ${lng.toFixed(4)}:`,
+      error.message
+    );
+  }
+
+  // Fallback to Nominatim (OpenStreetMap) - Free but rate limited
+  try {
+    const country = await getCountryFromNominatim(lat, lng);
+    if (country && country !== "Unknown") {
+      console.log(
+        `✅ Nominatim fallback: ${lat.toFixed(4)}, ${lng.toFixed(
+          4
+        )} -> ${country}`
+      );
+      return country;
+    }
+  } catch (error) {
+    console.warn(
+      `Nominatim failed for ${lat.toFixed(4)}, ${lng.toFixed(4)}:`,
+      error.message
+    );
+  }
+
+  // Final fallback to coordinate ranges
+  const fallbackCountry = getCountryFromCoordinateRanges(lat, lng);
+  console.log(
+    `⚠️ Using coordinate fallback: ${lat.toFixed(4)}, ${lng.toFixed(
+      4
+    )} -> ${fallbackCountry}`
+  );
+  return fallbackCountry;
+}
+
+// Google Geocoding API
+async function getCountryFromGoogle(lat, lng) {
+  const GOOGLE_API_KEY =
+    process.env.GOOGLE_GEOCODING_API_KEY || process.env.GOOGLE_MAPS_API_KEY;
+
+  if (!GOOGLE_API_KEY) {
+    throw new Error("Google API key not configured");
+  }
+
+  // Rate limiting for Google API (to avoid hitting quotas too hard)
+  await rateLimitedCall("google", 100); // 100ms between calls
+
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&result_type=country&key=${GOOGLE_API_KEY}`;
+
+  const response = await axios.get(url, { timeout: 10000 });
+
+  if (response.data.status === "OK" && response.data.results.length > 0) {
+    const countryComponent = response.data.results[0].address_components.find(
+      (component) => component.types.includes("country")
+    );
+
+    if (countryComponent) {
+      return countryComponent.long_name;
+    }
+  }
+
+  // Handle specific Google API errors
+  if (response.data.status === "OVER_QUERY_LIMIT") {
+    throw new Error("Google API quota exceeded");
+  } else if (response.data.status === "ZERO_RESULTS") {
+    throw new Error("No country found");
+  }
+
+  throw new Error(`Google Geocoding failed: ${response.data.status}`);
+}
+
+// Nominatim (OpenStreetMap) - Free fallback
+async function getCountryFromNominatim(lat, lng) {
+  // Rate limiting for Nominatim (required - max 1 request per second)
+  await rateLimitedCall("nominatim", 1100); // 1.1 seconds between calls
+
+  const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=3&addressdetails=1`;
+
+  const response = await axios.get(url, {
+    timeout: 10000,
+    headers: {
+      "User-Agent": "StravaWorldMap/1.0 (strava.activities@example.com)", // Replace with your email
+    },
+  });
+
+  if (response.data && response.data.address && response.data.address.country) {
+    return response.data.address.country;
+  }
+
+  throw new Error("Nominatim: No country found");
+}
+
+// Rate limiting helper
+const lastApiCall = { google: 0, nominatim: 0 };
+
+async function rateLimitedCall(apiName, minIntervalMs) {
+  const now = Date.now();
+  const timeSinceLastCall = now - lastApiCall[apiName];
+
+  if (timeSinceLastCall < minIntervalMs) {
+    const waitTime = minIntervalMs - timeSinceLastCall;
+    await new Promise((resolve) => setTimeout(resolve, waitTime));
+  }
+
+  lastApiCall[apiName] = Date.now();
+}
+
+// Keep your existing coordinate-based fallback (simplified version)
+function getCountryFromCoordinateRanges(lat, lng) {
+  // Major regions for fallback
+  if (lat >= 35.8 && lat <= 71.2 && lng >= -31.3 && lng <= 69.1) {
+    // Europe (broad region)
+    if (lat >= 42.3 && lat <= 51.1 && lng >= -5.1 && lng <= 8.2)
+      return "France";
+    if (lat >= 47.3 && lat <= 55.1 && lng >= 5.9 && lng <= 15.0)
+      return "Germany";
+    if (lat >= 49.9 && lat <= 60.9 && lng >= -8.2 && lng <= 1.8)
+      return "United Kingdom";
+    if (lat >= 36.0 && lat <= 47.1 && lng >= 6.6 && lng <= 18.5) return "Italy";
+    if (lat >= 35.9 && lat <= 43.8 && lng >= -9.5 && lng <= -6.2)
+      return "Spain";
+    return "Europe"; // Generic for unknown European countries
+  }
+
+  if (lat >= 25.1 && lat <= 49.4 && lng >= -125.0 && lng <= -66.9)
+    return "United States";
+  if (lat >= 41.7 && lat <= 83.1 && lng >= -141.0 && lng <= -52.6)
+    return "Canada";
+  if (lat >= 25.6 && lat <= 26.3 && lng >= 50.4 && lng <= 50.8)
+    return "Bahrain";
+  if (lat >= -47.0 && lat <= -10.0 && lng >= 113.0 && lng <= 154.0)
+    return "Australia";
+
+  return "Other";
+}
+
+module.exports = {
+  getCountryFromCoordinates,
+};
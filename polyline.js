@@ -0,0 +1,166 @@
+// polyline.js - Encoded polyline routes
+//
+// Activities store their route as an encoded polyline (Google's format,
+// the one Strava uses) rather than an array of {lat, lng} objects, which
+// is several times the size. Routes are decoded per request for clients
+// that ask for format=coordinates; others can take the polyline as is.
+
+// Decimal places kept. Strava's polylines use 5 (about a metre); 6 suits
+// higher resolution sources such as streams. Higher would overflow the
+// 32-bit arithmetic below.
+const DEFAULT_PRECISION = 5;
+const PRECISIONS = [5, 6];
+
+// How a response carries routes
+const ROUTE_FORMATS = ["coordinates", "polyline"];
+
+function encodeValue(value) {
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = "";
+
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+
+  return encoded + String.fromCharCode(remaining + 63);
+}
+
+// Encode {lat, lng} points in Google polyline format
+function encodePolyline(coordinates, precision = DEFAULT_PRECISION) {
+  const factor = Math.pow(10, precision);
+  let encoded = "";
+  let lat = 0;
+  let lng = 0;
+
+  for (const point of coordinates) {
+    const nextLat = Math.round(point.lat * factor);
+    const nextLng = Math.round(point.lng * factor);
+
+    encoded += encodeValue(nextLat - lat) + encodeValue(nextLng - lng);
+    lat = nextLat;
+    lng = nextLng;
+  }
+
+  return encoded;
+}
+
+// Decode Google polyline format
+function decodePolyline(encoded, precision = DEFAULT_PRECISION) {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    let byte = 0;
+    let shift = 0;
+    let result = 0;
+
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    const deltaLat = (result & 1) !== 0 ? ~(result >> 1) : result >> 1;
+    lat += deltaLat;
+
+    shift = 0;
+    result = 0;
+
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    const deltaLng = (result & 1) !== 0 ? ~(result >> 1) : result >> 1;
+    lng += deltaLng;
+
+    coordinates.push({
+      lat: lat / factor,
+      lng: lng / factor,
+    });
+  }
+
+  return coordinates;
+}
+
+// An activity's route as {lat, lng} points. Rows stored before polylines
+// were kept still have `coordinates` (see scripts/migrations/).
+function routeCoordinates(activity) {
+  if (activity.coordinates) {
+    return activity.coordinates;
+  }
+  return activity.polyline
+    ? decodePolyline(
+        activity.polyline,
+        activity.polyline_precision || DEFAULT_PRECISION
+      )
+    : [];
+}
+
+// Put an activity's route in the requested format: `coordinates`, or
+// `polyline` plus `polyline_precision`. `precision` re-encodes the route
+// (e.g. 6 for a detailed track from streams).
+function formatRoute(activity, { format = "coordinates", precision } = {}) {
+  const {
+    coordinates,
+    polyline,
+    polyline_precision: storedPrecision = DEFAULT_PRECISION,
+    ...rest
+  } = activity;
+
+  if (format === "coordinates") {
+    return { ...rest, coordinates: routeCoordinates(activity) };
+  }
+
+  const outputPrecision =
+    precision || (coordinates ? DEFAULT_PRECISION : storedPrecision);
+  const reuseStored =
+    !coordinates && polyline && outputPrecision === storedPrecision;
+
+  return {
+    ...rest,
+    polyline: reuseStored
+      ? polyline
+      : encodePolyline(routeCoordinates(activity), outputPrecision),
+    polyline_precision: outputPrecision,
+  };
+}
+
+// JSON size of some activities' routes as coordinates and as polylines
+function routePayloadSizes(activities) {
+  let coordinatesBytes = 0;
+  let polylineBytes = 0;
+
+  for (const activity of activities) {
+    const coordinates = routeCoordinates(activity);
+    coordinatesBytes += JSON.stringify(coordinates).length;
+    polylineBytes += JSON.stringify(
+      activity.polyline ?? encodePolyline(coordinates)
+    ).length;
+  }
+
+  return {
+    coordinates_bytes: coordinatesBytes,
+    polyline_bytes: polylineBytes,
+    savings_percent:
+      coordinatesBytes > 0
+        ? Math.round((1 - polylineBytes / coordinatesBytes) * 100)
+        : 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_PRECISION,
+  PRECISIONS,
+  ROUTE_FORMATS,
+  encodePolyline,
+  decodePolyline,
+  routeCoordinates,
+  formatRoute,
+  routePayloadSizes,
+};
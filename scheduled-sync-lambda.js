@@ -0,0 +1,13 @@
+// scheduled-sync-lambda.js - AWS Lambda handler for the scheduled sync
+const { runScheduledSync } = require("./scheduled-sync");
+
+// Leave time for syncs already started to finish (or checkpoint)
+const DEADLINE_MARGIN_MS = 3 * 60 * 1000;
+
+// Invoked by the EventBridge schedule in serverless.yml
+module.exports.handler = async (event, context) => {
+  return runScheduledSync({
+    deadline:
+      Date.now() + context.getRemainingTimeInMillis() - DEADLINE_MARGIN_MS,
+  });
+};
@@ -0,0 +1,157 @@
+// scheduled-sync.js - Periodic incremental sync for every connected athlete
+//
+// Run by the scheduledSync function (scheduled-sync-lambda.js) and by
+// scripts/scheduled-sync.js locally. Syncs run in this process, a few at a
+// time, and stop being started once the Strava budget runs low.
+const {
+  getAuthToken,
+  getValidAccessToken,
+  listConnectedAthletes,
+  isRefreshTokenRevoked,
+} = require("./storage");
+const { canReadPrivateActivities } = require("./auth");
+const {
+  findActiveSyncJob,
+  createSyncJobFor,
+  performBackgroundSync,
+} = require("./sync");
+const { hasBudget } = require("./strava-client");
+
+// Athletes synced longer ago than this are due
+const SCHEDULED_SYNC_INTERVAL_MINUTES = parseInt(
+  process.env.SCHEDULED_SYNC_INTERVAL_MINUTES || "360",
+  10
+);
+
+// Syncs running at once, across all athletes
+const SCHEDULED_SYNC_CONCURRENCY = parseInt(
+  process.env.SCHEDULED_SYNC_CONCURRENCY || "3",
+  10
+);
+
+// Athletes due for a sync, never-synced first, then least recently synced
+function findDueAthletes(athletes, intervalMinutes, now = Date.now()) {
+  const cutoff = now - intervalMinutes * 60 * 1000;
+
+  return athletes
+    .filter(
+      (athlete) =>
+        !athlete.needs_reauth &&
+        (!athlete.last_synced_at ||
+          new Date(athlete.last_synced_at).getTime() < cutoff)
+    )
+    .sort((a, b) =>
+      (a.last_synced_at || "").localeCompare(b.last_synced_at || "")
+    );
+}
+
+// Run an incremental sync for one athlete. Returns the outcome for the
+// run summary.
+async function syncAthlete(athlete_id) {
+  if (await findActiveSyncJob(athlete_id)) {
+    return "busy";
+  }
+
+  let accessToken;
+  try {
+    accessToken = await getValidAccessToken(athlete_id);
+  } catch (error) {
+    // refreshAccessToken has already flagged the athlete
+    if (isRefreshTokenRevoked(error)) {
+      return "needs_reauth";
+    }
+    throw error;
+  }
+
+  const authData = await getAuthToken(athlete_id);
+  const job = await createSyncJobFor(athlete_id, { full_sync: false });
+
+  return performBackgroundSync(athlete_id, accessToken, false, {
+    privateActivities: canReadPrivateActivities(authData),
+    jobId: job.job_id,
+  });
+}
+
+// Sync every athlete that's due. Stops starting new syncs when the
+// background budget is used up or `deadline` (epoch ms) has passed; those
+// athletes are left for the next run.
+async function runScheduledSync({
+  intervalMinutes = SCHEDULED_SYNC_INTERVAL_MINUTES,
+  concurrency = SCHEDULED_SYNC_CONCURRENCY,
+  deadline,
+  dryRun = false,
+} = {}) {
+  const athletes = await listConnectedAthletes();
+  const dueAthletes = findDueAthletes(athletes, intervalMinutes);
+
+  const summary = {
+    athletes: athletes.length,
+    due: dueAthletes.length,
+    // Already flagged before this run, so not tried
+    skipped_needs_reauth: athletes.filter((athlete) => athlete.needs_reauth)
+      .length,
+    // Found to have revoked access during this run
+    needs_reauth: 0,
+    succeeded: 0,
+    failed: 0,
+    busy: 0,
+    deferred: 0,
+  };
+
+  console.log(
+    `Scheduled sync: ${dueAthletes.length} of ${athletes.length} athletes due (interval ${intervalMinutes} minutes)`
+  );
+
+  if (dryRun) {
+    for (const athlete of dueAthletes) {
+      console.log(
+        `Would sync athlete ${athlete.athlete_id} (last synced ${
+          athlete.last_synced_at || "never"
+        })`
+      );
+    }
+    return summary;
+  }
+
+  const queue = [...dueAthletes];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      if (!hasBudget("background")) {
+        console.log("Strava budget used up, deferring remaining athletes");
+        break;
+      }
+      if (deadline && Date.now() >= deadline) {
+        console.log("Out of time, deferring remaining athletes");
+        break;
+      }
+
+      const { athlete_id } = queue.shift();
+
+      try {
+        const outcome = await syncAthlete(athlete_id);
+        summary[outcome]++;
+      } catch (error) {
+        console.error(
+          `❌ Scheduled sync failed for athlete ${athlete_id}:`,
+          error.message
+        );
+        summary.failed++;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.max(1, concurrency) }, () => worker())
+  );
+
+  summary.deferred = queue.length;
+
+  console.log("📊 Scheduled sync summary:", summary);
+  return summary;
+}
+
+module.exports = {
+  findDueAthletes,
+  runScheduledSync,
+};
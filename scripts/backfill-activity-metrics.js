@@ -0,0 +1,174 @@
+// scripts/backfill-activity-metrics.js - One-off migration that stores raw metrics on activities synced before they were kept
+// Rows without `metrics` or `start_date` are matched against the athlete's Strava activity list; their formatted distance/time strings are dropped.
+// start_date matters too: rows synced before it was stored are missing from the athlete-start-date-index until they have one.
+// Safe to rerun: only rows still missing metrics or a start date are touched.
+// Usage: node scripts/backfill-activity-metrics.js [--dry-run]
+require('dotenv').config();
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { getValidAccessToken } = require('../storage');
+const { stravaGet, StravaRateLimitError } = require('../strava-client');
+const { extractMetrics } = require('../activity-metrics');
+
+const ACTIVITIES_TABLE = process.env.DYNAMODB_ACTIVITIES_TABLE || 'strava-activities';
+
+// Strava's maximum page size, to keep the number of requests down
+const PER_PAGE = 200;
+
+const dynamodb = DynamoDBDocumentClient.from(
+  new DynamoDBClient({
+    region: process.env.AWS_REGION || 'us-east-1'
+  })
+);
+
+// Stored activities without metrics or a start date, grouped by athlete
+async function findActivitiesToBackfill() {
+  const byAthlete = new Map();
+  let lastEvaluatedKey;
+
+  do {
+    const page = await dynamodb.send(
+      new ScanCommand({
+        TableName: ACTIVITIES_TABLE,
+        FilterExpression: 'attribute_not_exists(metrics) OR attribute_not_exists(start_date)',
+        ProjectionExpression: 'id, athlete_id, start_date',
+        ExclusiveStartKey: lastEvaluatedKey
+      })
+    );
+
+    for (const item of page.Items || []) {
+      if (!byAthlete.has(item.athlete_id)) {
+        byAthlete.set(item.athlete_id, []);
+      }
+      byAthlete.get(item.athlete_id).push(item);
+    }
+
+    lastEvaluatedKey = page.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return byAthlete;
+}
+
+// Only list the period the athlete's rows cover
+function listParamsFor(rows) {
+  const startTimes = rows.map((row) => new Date(row.start_date).getTime() / 1000);
+
+  if (startTimes.some(Number.isNaN)) {
+    return { per_page: PER_PAGE };
+  }
+
+  return {
+    per_page: PER_PAGE,
+    after: Math.floor(Math.min(...startTimes)) - 1,
+    before: Math.ceil(Math.max(...startTimes)) + 1
+  };
+}
+
+async function backfillAthlete(athleteId, rows, { dryRun, stats }) {
+  const missing = new Set(rows.map((row) => row.id));
+  const params = listParamsFor(rows);
+  const accessToken = await getValidAccessToken(athleteId);
+
+  for (let page = 1; missing.size > 0; page++) {
+    const activities = await stravaGet('/athlete/activities', accessToken, {
+      params: { ...params, page }
+    });
+
+    if (activities.length === 0) {
+      break;
+    }
+
+    for (const activity of activities) {
+      if (!missing.has(activity.id)) {
+        continue;
+      }
+      missing.delete(activity.id);
+
+      if (dryRun) {
+        console.log(`Would backfill activity ${activity.id} (athlete ${athleteId})`);
+        stats.backfilled++;
+        continue;
+      }
+
+      try {
+        // Skip rows resynced (with metrics and a start date) since the scan
+        await dynamodb.send(
+          new UpdateCommand({
+            TableName: ACTIVITIES_TABLE,
+            Key: { id: activity.id },
+            UpdateExpression: 'SET metrics = :metrics, start_date = :start_date, start_date_local = :start_date_local REMOVE #distance, #time',
+            ConditionExpression: 'attribute_exists(id) AND (attribute_not_exists(metrics) OR attribute_not_exists(start_date))',
+            ExpressionAttributeNames: { '#distance': 'distance', '#time': 'time' },
+            ExpressionAttributeValues: {
+              ':metrics': extractMetrics(activity),
+              ':start_date': activity.start_date,
+              ':start_date_local': activity.start_date_local || null
+            }
+          })
+        );
+        stats.backfilled++;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        stats.skipped++;
+      }
+    }
+  }
+
+  // Deleted on Strava or made private since they were synced
+  stats.not_found += missing.size;
+  console.log(`✅ Athlete ${athleteId}: ${rows.length - missing.size} of ${rows.length} activities found on Strava`);
+}
+
+async function backfillActivityMetrics({ dryRun = false } = {}) {
+  console.log(`Backfilling activity metrics in ${ACTIVITIES_TABLE}${dryRun ? ' (dry run)' : ''}...`);
+
+  const stats = { missing: 0, backfilled: 0, skipped: 0, not_found: 0, remaining: 0, failed: 0 };
+  const byAthlete = await findActivitiesToBackfill();
+
+  for (const rows of byAthlete.values()) {
+    stats.missing += rows.length;
+  }
+
+  for (const [athleteId, rows] of byAthlete) {
+    try {
+      await backfillAthlete(athleteId, rows, { dryRun, stats });
+    } catch (error) {
+      if (error instanceof StravaRateLimitError) {
+        console.log('Strava budget used up, rerun once it resets to backfill the rest');
+        break;
+      }
+
+      console.error(`❌ Failed to backfill athlete ${athleteId}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  // Left for a rerun (rate limited or failed athletes)
+  stats.remaining = stats.missing - stats.backfilled - stats.skipped - stats.not_found;
+
+  console.log('\n📊 Migration summary:');
+  console.log(`Missing metrics or start date: ${stats.missing}`);
+  console.log(`${dryRun ? 'To backfill' : 'Backfilled'}: ${stats.backfilled}`);
+  console.log(`Skipped: ${stats.skipped}`);
+  console.log(`Not found on Strava: ${stats.not_found}`);
+  console.log(`Remaining: ${stats.remaining}`);
+  console.log(`Failed athletes: ${stats.failed}`);
+
+  return stats;
+}
+
+// Run the script
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  backfillActivityMetrics({ dryRun }).then((stats) => {
+    process.exit(stats.failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { backfillActivityMetrics };
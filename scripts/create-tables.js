@@ -1,5 +1,5 @@
 // scripts/create-tables.js - Script to create DynamoDB tables (AWS SDK v3)
-const { DynamoDBClient, CreateTableCommand, DescribeTableCommand, waitUntilTableExists } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBClient, CreateTableCommand, DescribeTableCommand, UpdateTableCommand, UpdateTimeToLiveCommand, waitUntilTableExists } = require('@aws-sdk/client-dynamodb');
 require('dotenv').config();
 
 // Configure AWS
@@ -11,6 +11,55 @@ const client = new DynamoDBClient({
   }
 });
 
+// Add indexes defined above that an existing table doesn't have yet.
+// DynamoDB builds one new index per update, so wait for each to finish.
+async function addMissingIndexes(params) {
+  const desc = await client.send(new DescribeTableCommand({ TableName: params.TableName }));
+  const existing = (desc.Table.GlobalSecondaryIndexes || []).map((index) => index.IndexName);
+
+  for (const index of params.GlobalSecondaryIndexes || []) {
+    if (existing.includes(index.IndexName)) {
+      continue;
+    }
+
+    console.log(`Adding index ${index.IndexName} to ${params.TableName}...`);
+    await client.send(
+      new UpdateTableCommand({
+        TableName: params.TableName,
+        AttributeDefinitions: params.AttributeDefinitions,
+        GlobalSecondaryIndexUpdates: [{ Create: index }]
+      })
+    );
+
+    // Wait for the index to finish backfilling
+    let status;
+    do {
+      await new Promise((resolve) => setTimeout(resolve, 10000));
+      const updated = await client.send(new DescribeTableCommand({ TableName: params.TableName }));
+      status = updated.Table.GlobalSecondaryIndexes.find((gsi) => gsi.IndexName === index.IndexName).IndexStatus;
+    } while (status !== 'ACTIVE');
+
+    console.log(`✅ Index ${index.IndexName} is active`);
+  }
+}
+
+// Have DynamoDB delete expired items by the table's TTL attribute
+async function enableTimeToLive(tableName, attributeName) {
+  try {
+    await client.send(
+      new UpdateTimeToLiveCommand({
+        TableName: tableName,
+        TimeToLiveSpecification: { AttributeName: attributeName, Enabled: true }
+      })
+    );
+    console.log(`✅ TTL enabled on ${tableName}.${attributeName}`);
+  } catch (error) {
+    if (error.name !== 'ValidationException' || !/already enabled/i.test(error.message)) {
+      throw error;
+    }
+  }
+}
+
 async function createTables() {
   console.log('Creating DynamoDB tables...');
 
@@ -31,6 +80,10 @@ async function createTables() {
       {
         AttributeName: 'athlete_id',
         AttributeType: 'S' // String
+      },
+      {
+        AttributeName: 'start_date',
+        AttributeType: 'S' // ISO 8601, sorts chronologically
       }
     ],
     GlobalSecondaryIndexes: [
@@ -49,6 +102,27 @@ async function createTables() {
           ReadCapacityUnits: 5,
           WriteCapacityUnits: 5
         }
+      },
+      {
+        // An athlete's activities in start date order (GET /activities)
+        IndexName: 'athlete-start-date-index',
+        KeySchema: [
+          {
+            AttributeName: 'athlete_id',
+            KeyType: 'HASH'
+          },
+          {
+            AttributeName: 'start_date',
+            KeyType: 'RANGE'
+          }
+        ],
+        Projection: {
+          ProjectionType: 'ALL'
+        },
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5
+        }
       }
     ],
     ProvisionedThroughput: {
@@ -78,91 +152,168 @@ async function createTables() {
     }
   };
 
+  // Sync jobs table (one item per sync run, newest job_id sorts last)
+  const syncJobsTableParams = {
+    TableName: 'strava-sync-jobs',
+    KeySchema: [
+      {
+        AttributeName: 'athlete_id',
+        KeyType: 'HASH' // Partition key
+      },
+      {
+        AttributeName: 'job_id',
+        KeyType: 'RANGE' // Sort key (timestamp-prefixed)
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'athlete_id',
+        AttributeType: 'S' // String
+      },
+      {
+        AttributeName: 'job_id',
+        AttributeType: 'S' // String
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 2,
+      WriteCapacityUnits: 2
+    }
+  };
+
+  // Athlete overrides of synced activity fields (see activity-overrides.js)
+  const overridesTableParams = {
+    TableName: 'strava-activity-overrides',
+    KeySchema: [
+      {
+        AttributeName: 'athlete_id',
+        KeyType: 'HASH' // Partition key
+      },
+      {
+        AttributeName: 'activity_id',
+        KeyType: 'RANGE' // Sort key (Strava activity ID)
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'athlete_id',
+        AttributeType: 'S' // String
+      },
+      {
+        AttributeName: 'activity_id',
+        AttributeType: 'N' // Number
+      }
+    ],
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 2,
+      WriteCapacityUnits: 2
+    }
+  };
+
+  // Activity streams, chunked (see storage/common.js)
+  const streamsTableParams = {
+    TableName: 'strava-activity-streams',
+    KeySchema: [
+      {
+        AttributeName: 'athlete_id',
+        KeyType: 'HASH' // Partition key
+      },
+      {
+        AttributeName: 'chunk_id',
+        KeyType: 'RANGE' // Sort key ("<activity ID>#<chunk index>")
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'athlete_id',
+        AttributeType: 'S' // String
+      },
+      {
+        AttributeName: 'chunk_id',
+        AttributeType: 'S' // String
+      }
+    ],
+    // Chunks are up to ~150KB, far more than a small provisioned table
+    // can write at once
+    BillingMode: 'PAY_PER_REQUEST'
+  };
+
+  // Account export jobs; their archives go to S3 (see storage/dynamodb.js)
+  const exportsTableParams = {
+    TableName: 'strava-account-exports',
+    KeySchema: [
+      {
+        AttributeName: 'athlete_id',
+        KeyType: 'HASH' // Partition key
+      },
+      {
+        AttributeName: 'job_id',
+        KeyType: 'RANGE' // Sort key
+      }
+    ],
+    AttributeDefinitions: [
+      {
+        AttributeName: 'athlete_id',
+        AttributeType: 'S' // String
+      },
+      {
+        AttributeName: 'job_id',
+        AttributeType: 'S' // String
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  };
+
+  const tables = [
+    activitiesTableParams,
+    authTableParams,
+    syncJobsTableParams,
+    overridesTableParams,
+    streamsTableParams,
+    exportsTableParams
+  ];
+
   try {
-    // Create Activities table
-    console.log('Creating activities table...');
-    await client.send(new CreateTableCommand(activitiesTableParams));
-    console.log('✅ Activities table created successfully');
+    // Create each table; existing ones only get any missing indexes
+    for (const params of tables) {
+      console.log(`Creating ${params.TableName} table...`);
 
-    // Create Auth table
-    console.log('Creating auth table...');
-    await client.send(new CreateTableCommand(authTableParams));
-    console.log('✅ Auth table created successfully');
+      try {
+        await client.send(new CreateTableCommand(params));
+        console.log(`✅ ${params.TableName} table created successfully`);
+      } catch (error) {
+        if (error.name !== 'ResourceInUseException') {
+          throw error;
+        }
+        console.log(`⚠️  ${params.TableName} already exists, skipping`);
+        await addMissingIndexes(params);
+      }
+    }
 
     console.log('Waiting for tables to be active...');
     
     // Wait for tables to be active
-    await waitUntilTableExists({ client, maxWaitTime: 300 }, { TableName: 'strava-activities' });
-    await waitUntilTableExists({ client, maxWaitTime: 300 }, { TableName: 'strava-auth' });
+    for (const params of tables) {
+      await waitUntilTableExists({ client, maxWaitTime: 300 }, { TableName: params.TableName });
+    }
+
+    // Old export jobs are removed by DynamoDB
+    await enableTimeToLive(exportsTableParams.TableName, 'ttl');
     
     console.log('🎉 All tables are ready!');
+    console.log('Run `npm run migrate` to bring existing data up to the current schema');
     
     // Display table info
-    const activitiesDesc = await client.send(new DescribeTableCommand({ TableName: 'strava-activities' }));
-    const authDesc = await client.send(new DescribeTableCommand({ TableName: 'strava-auth' }));
-    
     console.log('\n📊 Table Information:');
-    console.log(`Activities Table: ${activitiesDesc.Table.TableStatus}`);
-    console.log(`Auth Table: ${authDesc.Table.TableStatus}`);
+    for (const params of tables) {
+      const desc = await client.send(new DescribeTableCommand({ TableName: params.TableName }));
+      console.log(`${params.TableName}: ${desc.Table.TableStatus}`);
+    }
     console.log(`\nEstimated monthly cost (light usage): ~$1-5 USD`);
     
   } catch (error) {
-    if (error.name === 'ResourceInUseException') {
-      console.log('⚠️  Tables already exist, checking status...');
-      
-      try {
-        const activitiesDesc = await client.send(new DescribeTableCommand({ TableName: 'strava-activities' }));
-        const authDesc = await client.send(new DescribeTableCommand({ TableName: 'strava-auth' }));
-        console.log(`Activities Table: ${activitiesDesc.Table.TableStatus}`);
-        console.log(`Auth Table: ${authDesc.Table.TableStatus}`);
-      } catch (descError) {
-        console.error('Error checking table status:', descError);
-      }
-    } else {
-      console.error('Error creating tables:', error);
-      process.exit(1);
-    }
-  }
-}
-
-// Check AWS credentials
-function checkCredentials() {
-  if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-    console.error('❌ AWS credentials not found!');
-    console.log('Please set the following environment variables:');
-    console.log('- AWS_ACCESS_KEY_ID');
-    console.log('- AWS_SECRET_ACCESS_KEY');
-    console.log('- AWS_REGION (optional, defaults to us-east-1)');
-    process.exit(1);
-  }
-  
-  console.log('✅ AWS credentials found');
-  console.log(`Region: ${process.env.AWS_REGION || 'us-east-1'}`);
-}
-
-// Run the script
-if (require.main === module) {
-  checkCredentials();
-  createTables().then(() => {
-    console.log('Script completed successfully!');
-    process.exit(0);
-  }).catch(error => {
-    console.error('Script failed:', error);
+    console.error('Error creating tables:', error);
     process.exit(1);
-  });
-}
-
-module.exports = { createTables };
-        const authDesc = await dynamodb.describeTable({ TableName: 'strava-auth' }).promise();
-        console.log(`Activities Table: ${activitiesDesc.Table.TableStatus}`);
-        console.log(`Auth Table: ${authDesc.Table.TableStatus}`);
-      } catch (descError) {
-        console.error('Error checking table status:', descError);
-      }
-    } else {
-      console.error('Error creating tables:', error);
-      process.exit(1);
-    }
   }
 }
 
@@ -193,4 +344,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { createTables };
\ No newline at end of file
+module.exports = { createTables };
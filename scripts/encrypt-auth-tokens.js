@@ -0,0 +1,106 @@
+// scripts/encrypt-auth-tokens.js - One-off migration that encrypts plaintext tokens in the auth table
+// Also re-encrypts rows written under an older key after TOKEN_ENCRYPTION_KEY_ID is rotated.
+// Usage: node scripts/encrypt-auth-tokens.js [--dry-run]
+require('dotenv').config();
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { encryptTokens, decryptTokens, needsEncryption } = require('../token-encryption');
+
+const AUTH_TABLE = process.env.DYNAMODB_AUTH_TABLE || 'strava-auth';
+
+const dynamodb = DynamoDBDocumentClient.from(
+  new DynamoDBClient({
+    region: process.env.AWS_REGION || 'us-east-1'
+  })
+);
+
+async function encryptAuthTokens({ dryRun = false } = {}) {
+  console.log(`Encrypting tokens in ${AUTH_TABLE}${dryRun ? ' (dry run)' : ''}...`);
+
+  const stats = { scanned: 0, encrypted: 0, skipped: 0, failed: 0 };
+  let lastEvaluatedKey;
+
+  do {
+    const page = await dynamodb.send(
+      new ScanCommand({
+        TableName: AUTH_TABLE,
+        ExclusiveStartKey: lastEvaluatedKey
+      })
+    );
+
+    for (const item of page.Items || []) {
+      stats.scanned++;
+
+      if (!needsEncryption(item)) {
+        stats.skipped++;
+        continue;
+      }
+
+      try {
+        const tokens = item.encrypted_tokens
+          ? await decryptTokens(item.athlete_id, item.encrypted_tokens)
+          : { access_token: item.access_token, refresh_token: item.refresh_token };
+
+        if (dryRun) {
+          console.log(`Would encrypt tokens for athlete ${item.athlete_id}`);
+          stats.encrypted++;
+          continue;
+        }
+
+        const encryptedTokens = await encryptTokens(item.athlete_id, tokens);
+
+        // Only overwrite if the row hasn't been refreshed since we read it
+        await dynamodb.send(
+          new UpdateCommand({
+            TableName: AUTH_TABLE,
+            Key: { athlete_id: item.athlete_id },
+            UpdateExpression: 'SET encrypted_tokens = :encrypted REMOVE access_token, refresh_token',
+            ConditionExpression: item.updated_at
+              ? 'updated_at = :updated_at'
+              : 'attribute_not_exists(updated_at)',
+            ExpressionAttributeValues: {
+              ':encrypted': encryptedTokens,
+              ...(item.updated_at && { ':updated_at': item.updated_at })
+            }
+          })
+        );
+
+        console.log(`✅ Encrypted tokens for athlete ${item.athlete_id}`);
+        stats.encrypted++;
+      } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+          // Rewritten by a token refresh in the meantime, already encrypted
+          console.log(`Athlete ${item.athlete_id} changed during migration, skipping`);
+          stats.skipped++;
+        } else {
+          console.error(`❌ Failed to encrypt tokens for athlete ${item.athlete_id}:`, error.message);
+          stats.failed++;
+        }
+      }
+    }
+
+    lastEvaluatedKey = page.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log('\n📊 Migration summary:');
+  console.log(`Scanned: ${stats.scanned}`);
+  console.log(`${dryRun ? 'To encrypt' : 'Encrypted'}: ${stats.encrypted}`);
+  console.log(`Skipped: ${stats.skipped}`);
+  console.log(`Failed: ${stats.failed}`);
+
+  return stats;
+}
+
+// Run the script
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  encryptAuthTokens({ dryRun }).then((stats) => {
+    process.exit(stats.failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { encryptAuthTokens };
@@ -0,0 +1,382 @@
+// scripts/migrate.js - Runs the numbered schema migrations in scripts/migrations/ against the DynamoDB tables
+// Applied versions, and the checkpoint of a migration in progress, are kept on one item in the metadata table,
+// so a run that stops part way (crash, timeout, Strava budget) picks up where it left off when rerun.
+// Usage: node scripts/migrate.js [--status] [--dry-run] [--to <version>]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  DynamoDBClient,
+  CreateTableCommand,
+  waitUntilTableExists
+} = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  UpdateCommand,
+  ScanCommand
+} = require('@aws-sdk/lib-dynamodb');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const METADATA_TABLE = process.env.DYNAMODB_METADATA_TABLE || 'strava-metadata';
+const METADATA_KEY = 'schema_migrations';
+
+// How long a run holds the lock without renewing it
+const LOCK_LEASE_MS = 15 * 60 * 1000;
+
+// Renewed this often while a run is going, so a migration that never saves
+// progress (the Strava backfills) keeps the lock however long it takes
+const LOCK_RENEW_MS = 5 * 60 * 1000;
+
+const TABLES = {
+  activities: process.env.DYNAMODB_ACTIVITIES_TABLE || 'strava-activities',
+  auth: process.env.DYNAMODB_AUTH_TABLE || 'strava-auth',
+  syncJobs: process.env.DYNAMODB_SYNC_JOBS_TABLE || 'strava-sync-jobs',
+  overrides: process.env.DYNAMODB_OVERRIDES_TABLE || 'strava-activity-overrides',
+  streams: process.env.DYNAMODB_STREAMS_TABLE || 'strava-activity-streams',
+  exports: process.env.DYNAMODB_EXPORTS_TABLE || 'strava-account-exports'
+};
+
+const client = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+const dynamodb = DynamoDBDocumentClient.from(client);
+
+// ========================================
+// MIGRATION FILES
+// ========================================
+
+// Migrations are scripts/migrations/NNN-description.js, each exporting
+// { description, up(context) }. up() must be safe to run again after a
+// partial run, and must not write anything when context.dryRun is set.
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+-[\w-]+\.js$/.test(file))
+    .map((file) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/\.js$/, ''),
+        description: migration.description,
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+// ========================================
+// METADATA ITEM
+// ========================================
+
+// Create the metadata table the first time migrations run
+async function ensureMetadataTable() {
+  try {
+    await client.send(
+      new CreateTableCommand({
+        TableName: METADATA_TABLE,
+        KeySchema: [{ AttributeName: 'key', KeyType: 'HASH' }],
+        AttributeDefinitions: [{ AttributeName: 'key', AttributeType: 'S' }],
+        BillingMode: 'PAY_PER_REQUEST'
+      })
+    );
+    console.log(`Created ${METADATA_TABLE} table`);
+    await waitUntilTableExists({ client, maxWaitTime: 300 }, { TableName: METADATA_TABLE });
+  } catch (error) {
+    if (error.name !== 'ResourceInUseException') {
+      throw error;
+    }
+  }
+}
+
+async function getMetadata() {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: METADATA_TABLE,
+      Key: { key: METADATA_KEY }
+    })
+  );
+
+  return {
+    applied: [],
+    in_progress: null,
+    ...result.Item
+  };
+}
+
+// Take the lock so two runs can't migrate at once. An expired lock (a
+// run that died) can be taken over.
+async function acquireLock(lockId) {
+  const now = Date.now();
+
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: METADATA_TABLE,
+        Key: { key: METADATA_KEY },
+        UpdateExpression: 'SET lock_id = :lock_id, locked_until = :until',
+        ConditionExpression: 'attribute_not_exists(locked_until) OR locked_until < :now',
+        ExpressionAttributeValues: {
+          ':lock_id': lockId,
+          ':until': now + LOCK_LEASE_MS,
+          ':now': now
+        }
+      })
+    );
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new Error('Another migration run holds the lock, try again once it finishes');
+    }
+    throw error;
+  }
+}
+
+async function releaseLock(lockId) {
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: METADATA_TABLE,
+      Key: { key: METADATA_KEY },
+      UpdateExpression: 'REMOVE lock_id, locked_until',
+      ConditionExpression: 'lock_id = :lock_id',
+      ExpressionAttributeValues: { ':lock_id': lockId }
+    })
+  );
+}
+
+// Extend the lease, as long as this run still holds the lock
+async function renewLock(lockId) {
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: METADATA_TABLE,
+      Key: { key: METADATA_KEY },
+      UpdateExpression: 'SET locked_until = :until',
+      ConditionExpression: 'lock_id = :lock_id',
+      ExpressionAttributeValues: {
+        ':lock_id': lockId,
+        ':until': Date.now() + LOCK_LEASE_MS
+      }
+    })
+  );
+}
+
+// Renew the lease in the background until the returned function is called.
+// A failed renewal is only logged: if the lock was lost, the next metadata
+// update fails its lock_id condition and stops the run.
+function keepLock(lockId) {
+  const timer = setInterval(() => {
+    renewLock(lockId).catch((error) => {
+      console.error('⚠️  Failed to renew the migration lock:', error.message);
+    });
+  }, LOCK_RENEW_MS);
+
+  return () => clearInterval(timer);
+}
+
+// Update the metadata item while holding the lock (and extend the lease)
+async function updateMetadata(lockId, { set, remove, values }) {
+  const updateExpression = `SET locked_until = :until, ${set}${remove ? ` REMOVE ${remove}` : ''}`;
+
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: METADATA_TABLE,
+      Key: { key: METADATA_KEY },
+      UpdateExpression: updateExpression,
+      ConditionExpression: 'lock_id = :lock_id',
+      ExpressionAttributeValues: {
+        ...values,
+        ':lock_id': lockId,
+        ':until': Date.now() + LOCK_LEASE_MS
+      }
+    })
+  );
+}
+
+// ========================================
+// RUNNER
+// ========================================
+
+// What a migration's up() gets
+function createContext(migration, { dryRun, lockId, progress }) {
+  const log = (message) => console.log(`[${migration.name}] ${message}`);
+
+  // Save a checkpoint; a rerun gets it back as context.progress
+  const saveProgress = async (state) => {
+    context.progress = state;
+    if (!dryRun) {
+      await updateMetadata(lockId, {
+        set: 'in_progress = :in_progress',
+        values: {
+          ':in_progress': {
+            version: migration.version,
+            state,
+            updated_at: new Date().toISOString()
+          }
+        }
+      });
+    }
+  };
+
+  // Scan a table page by page, checkpointing after each page so a rerun
+  // continues from the last one handled. Pages may be seen twice after a
+  // crash, so onPage has to be idempotent.
+  const scan = async (params, onPage) => {
+    let { last_evaluated_key: lastEvaluatedKey, pages = 0, items = 0 } =
+      context.progress || {};
+
+    if (lastEvaluatedKey) {
+      log(`Resuming scan after ${items} items`);
+    }
+
+    do {
+      const page = await dynamodb.send(
+        new ScanCommand({ ...params, ExclusiveStartKey: lastEvaluatedKey || undefined })
+      );
+
+      await onPage(page.Items || []);
+
+      pages++;
+      items += page.ScannedCount || 0;
+      lastEvaluatedKey = page.LastEvaluatedKey;
+
+      await saveProgress({ last_evaluated_key: lastEvaluatedKey || null, pages, items });
+      log(`Scanned ${items} items (${pages} pages)`);
+    } while (lastEvaluatedKey);
+  };
+
+  const context = {
+    client,
+    dynamodb,
+    tables: TABLES,
+    dryRun,
+    progress,
+    log,
+    saveProgress,
+    scan
+  };
+
+  return context;
+}
+
+async function runMigrations({ dryRun = false, to } = {}) {
+  const migrations = loadMigrations();
+
+  await ensureMetadataTable();
+
+  // Lock before reading what's applied, so a run that just finished is seen
+  const lockId = crypto.randomBytes(8).toString('hex');
+  let stopRenewing = () => {};
+  if (!dryRun) {
+    await acquireLock(lockId);
+    stopRenewing = keepLock(lockId);
+  }
+
+  const applied = [];
+
+  try {
+    const metadata = await getMetadata();
+    const appliedVersions = new Set(metadata.applied.map((entry) => entry.version));
+
+    const pending = migrations.filter(
+      (migration) => !appliedVersions.has(migration.version) && (to === undefined || migration.version <= to)
+    );
+
+    if (pending.length === 0) {
+      console.log('✅ Schema is up to date');
+    } else {
+      console.log(`${pending.length} migration(s) to run${dryRun ? ' (dry run)' : ''}`);
+    }
+
+    for (const migration of pending) {
+      const resuming = metadata.in_progress?.version === migration.version;
+
+      console.log(`\n▶️  ${migration.name}: ${migration.description}${resuming ? ' (resuming)' : ''}`);
+      const startedAt = Date.now();
+
+      const context = createContext(migration, {
+        dryRun,
+        lockId,
+        progress: resuming ? metadata.in_progress.state : null
+      });
+      await migration.up(context);
+
+      if (!dryRun) {
+        await updateMetadata(lockId, {
+          set: 'applied = list_append(if_not_exists(applied, :empty), :entry)',
+          remove: 'in_progress',
+          values: {
+            ':empty': [],
+            ':entry': [{ version: migration.version, name: migration.name, applied_at: new Date().toISOString() }]
+          }
+        });
+      }
+
+      applied.push(migration.name);
+      console.log(`✅ ${migration.name} ${dryRun ? 'checked' : 'applied'} in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+    }
+  } finally {
+    stopRenewing();
+    if (!dryRun) {
+      await releaseLock(lockId);
+    }
+  }
+
+  return { applied };
+}
+
+async function printStatus() {
+  const migrations = loadMigrations();
+
+  await ensureMetadataTable();
+  const metadata = await getMetadata();
+  const applied = new Map(metadata.applied.map((entry) => [entry.version, entry]));
+
+  console.log(`Migrations (${METADATA_TABLE}):`);
+  for (const migration of migrations) {
+    const entry = applied.get(migration.version);
+    const state = entry
+      ? `applied ${entry.applied_at}`
+      : metadata.in_progress?.version === migration.version
+        ? `in progress (checkpoint ${metadata.in_progress.updated_at})`
+        : 'pending';
+    console.log(`  ${migration.name}: ${state}`);
+  }
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: argv.includes('--dry-run'), status: argv.includes('--status') };
+
+  const to = argv.indexOf('--to');
+  if (to !== -1) {
+    options.to = parseInt(argv[to + 1], 10);
+  }
+
+  return options;
+}
+
+// Run the script
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (Number.isNaN(options.to)) {
+    console.error('Usage: node scripts/migrate.js [--status] [--dry-run] [--to <version>]');
+    process.exit(1);
+  }
+
+  (options.status ? printStatus() : runMigrations(options)).then(() => {
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Migration failed (rerun to resume):', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runMigrations };
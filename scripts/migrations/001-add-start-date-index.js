@@ -0,0 +1,62 @@
+// scripts/migrations/001-add-start-date-index.js - Adds the start date index GET /activities pages through
+// Tables created before the index existed only get it here (new tables are created with it).
+const { DescribeTableCommand, UpdateTableCommand } = require('@aws-sdk/client-dynamodb');
+
+const INDEX_NAME = 'athlete-start-date-index';
+
+async function getIndex(client, tableName) {
+  const desc = await client.send(new DescribeTableCommand({ TableName: tableName }));
+  return (desc.Table.GlobalSecondaryIndexes || []).find((index) => index.IndexName === INDEX_NAME);
+}
+
+module.exports = {
+  description: `Add ${INDEX_NAME} to the activities table`,
+
+  async up({ client, tables, dryRun, log }) {
+    let index = await getIndex(client, tables.activities);
+
+    if (!index) {
+      if (dryRun) {
+        log(`Would add ${INDEX_NAME} to ${tables.activities}`);
+        return;
+      }
+
+      log(`Adding ${INDEX_NAME} to ${tables.activities}...`);
+      await client.send(
+        new UpdateTableCommand({
+          TableName: tables.activities,
+          AttributeDefinitions: [
+            { AttributeName: 'athlete_id', AttributeType: 'S' },
+            { AttributeName: 'start_date', AttributeType: 'S' }
+          ],
+          GlobalSecondaryIndexUpdates: [
+            {
+              Create: {
+                IndexName: INDEX_NAME,
+                KeySchema: [
+                  { AttributeName: 'athlete_id', KeyType: 'HASH' },
+                  { AttributeName: 'start_date', KeyType: 'RANGE' }
+                ],
+                Projection: { ProjectionType: 'ALL' },
+                ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+              }
+            }
+          ]
+        })
+      );
+    }
+
+    // Wait for the index to finish backfilling (also when a previous run
+    // stopped while it was still being built)
+    while (index?.IndexStatus !== 'ACTIVE') {
+      if (dryRun) {
+        log(`${INDEX_NAME} is still ${index.IndexStatus}`);
+        return;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 10000));
+      index = await getIndex(client, tables.activities);
+      log(`${INDEX_NAME}: ${index.IndexStatus} (${index.ItemCount || 0} items indexed)`);
+    }
+  }
+};
@@ -0,0 +1,19 @@
+// scripts/migrations/002-backfill-activity-metrics.js - Stores raw metrics on activities synced before they were kept
+// Wraps scripts/backfill-activity-metrics.js, which only touches rows still missing metrics, so a rerun carries on.
+const { backfillActivityMetrics } = require('../backfill-activity-metrics');
+
+module.exports = {
+  description: 'Backfill raw metrics from Strava onto older activities',
+
+  async up({ dryRun, log }) {
+    const stats = await backfillActivityMetrics({ dryRun });
+
+    // Left unapplied until every row is done (e.g. after hitting Strava's
+    // rate limit), so the next run picks up the rest
+    if (!dryRun && stats.remaining > 0) {
+      throw new Error(`${stats.remaining} activities still need metrics, rerun later`);
+    }
+
+    log(`${stats.backfilled} backfilled, ${stats.not_found} not found on Strava`);
+  }
+};
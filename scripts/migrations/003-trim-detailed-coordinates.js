@@ -0,0 +1,55 @@
+// scripts/migrations/003-trim-detailed-coordinates.js - Shrinks activities that GET /activities/:id filled with the detailed track
+// The detailed track now comes from the activity's streams, so these rows go back to the summary's 20 points.
+// (They were stored without a fingerprint, so the next reconcile sync rewrites them from Strava anyway.)
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Points sync.js keeps on an activity
+const SUMMARY_POINTS = 20;
+
+module.exports = {
+  description: 'Trim detailed coordinates on activities back to the summary',
+
+  async up({ dynamodb, tables, dryRun, log, scan }) {
+    let trimmed = 0;
+
+    await scan(
+      {
+        TableName: tables.activities,
+        FilterExpression: 'size(coordinates) > :max',
+        ProjectionExpression: 'id, coordinates',
+        ExpressionAttributeValues: { ':max': SUMMARY_POINTS }
+      },
+      async (items) => {
+        for (const item of items) {
+          trimmed++;
+
+          if (dryRun) {
+            continue;
+          }
+
+          // Conditional, so a rerun (or a row resynced meanwhile) is left alone
+          try {
+            await dynamodb.send(
+              new UpdateCommand({
+                TableName: tables.activities,
+                Key: { id: item.id },
+                UpdateExpression: 'SET coordinates = :coordinates',
+                ConditionExpression: 'size(coordinates) > :max',
+                ExpressionAttributeValues: {
+                  ':coordinates': item.coordinates.slice(0, SUMMARY_POINTS),
+                  ':max': SUMMARY_POINTS
+                }
+              })
+            );
+          } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+              throw error;
+            }
+          }
+        }
+      }
+    );
+
+    log(`${dryRun ? 'Would trim' : 'Trimmed'} ${trimmed} activities`);
+  }
+};
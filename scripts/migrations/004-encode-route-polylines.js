@@ -0,0 +1,57 @@
+// scripts/migrations/004-encode-route-polylines.js - Rewrites activity routes from {lat, lng} arrays to encoded polylines
+// Reports the approximate bytes saved. Rows are only rewritten while they still have coordinates, so reruns skip done ones.
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { DEFAULT_PRECISION, encodePolyline } = require('../../polyline');
+
+module.exports = {
+  description: 'Store activity routes as encoded polylines',
+
+  async up({ dynamodb, tables, dryRun, log, scan }) {
+    let converted = 0;
+    let bytesBefore = 0;
+    let bytesAfter = 0;
+
+    await scan(
+      {
+        TableName: tables.activities,
+        FilterExpression: 'attribute_exists(coordinates)',
+        ProjectionExpression: 'id, coordinates'
+      },
+      async (items) => {
+        for (const item of items) {
+          const polyline = encodePolyline(item.coordinates || []);
+
+          converted++;
+          bytesBefore += JSON.stringify(item.coordinates).length;
+          bytesAfter += polyline.length;
+
+          if (dryRun) {
+            continue;
+          }
+
+          try {
+            await dynamodb.send(
+              new UpdateCommand({
+                TableName: tables.activities,
+                Key: { id: item.id },
+                UpdateExpression: 'SET polyline = :polyline, polyline_precision = :precision REMOVE coordinates',
+                ConditionExpression: 'attribute_exists(coordinates)',
+                ExpressionAttributeValues: {
+                  ':polyline': polyline,
+                  ':precision': DEFAULT_PRECISION
+                }
+              })
+            );
+          } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+              throw error;
+            }
+          }
+        }
+      }
+    );
+
+    const saved = bytesBefore > 0 ? Math.round((1 - bytesAfter / bytesBefore) * 100) : 0;
+    log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} activities: ~${bytesBefore} bytes of coordinates as ~${bytesAfter} bytes of polylines (${saved}% smaller)`);
+  }
+};
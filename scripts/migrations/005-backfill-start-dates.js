@@ -0,0 +1,20 @@
+// scripts/migrations/005-backfill-start-dates.js - Stores start_date on activities synced before it was kept
+// GET /activities pages through athlete-start-date-index, which leaves out rows without a start_date. 002 only
+// backfilled rows missing metrics, so this reruns the same backfill, which now also picks up rows missing a start date.
+// Rows Strava no longer lists stay unlisted until a reconcile sync removes them.
+const { backfillActivityMetrics } = require('../backfill-activity-metrics');
+
+module.exports = {
+  description: 'Backfill start dates from Strava onto older activities',
+
+  async up({ dryRun, log }) {
+    const stats = await backfillActivityMetrics({ dryRun });
+
+    // Left unapplied until every row is done, like 002
+    if (!dryRun && stats.remaining > 0) {
+      throw new Error(`${stats.remaining} activities still need a start date, rerun later`);
+    }
+
+    log(`${stats.backfilled} backfilled, ${stats.not_found} not found on Strava (run a reconcile sync to remove them)`);
+  }
+};
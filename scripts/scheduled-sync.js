@@ -0,0 +1,37 @@
+// scripts/scheduled-sync.js - Run the scheduled sync once, locally
+// Usage: node scripts/scheduled-sync.js [--interval <minutes>] [--concurrency <n>] [--dry-run]
+require('dotenv').config();
+const { runScheduledSync } = require('../scheduled-sync');
+
+function parseArgs(argv) {
+  const options = { dryRun: argv.includes('--dry-run') };
+
+  const interval = argv.indexOf('--interval');
+  if (interval !== -1) {
+    options.intervalMinutes = parseInt(argv[interval + 1], 10);
+  }
+
+  const concurrency = argv.indexOf('--concurrency');
+  if (concurrency !== -1) {
+    options.concurrency = parseInt(argv[concurrency + 1], 10);
+  }
+
+  return options;
+}
+
+// Run the script
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (Number.isNaN(options.intervalMinutes) || Number.isNaN(options.concurrency)) {
+    console.error('Usage: node scripts/scheduled-sync.js [--interval <minutes>] [--concurrency <n>] [--dry-run]');
+    process.exit(1);
+  }
+
+  runScheduledSync(options).then((summary) => {
+    process.exit(summary.failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Scheduled sync failed:', error);
+    process.exit(1);
+  });
+}
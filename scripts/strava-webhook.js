@@ -0,0 +1,89 @@
+// scripts/strava-webhook.js - Manage the Strava push subscription
+// Usage:
+//   node scripts/strava-webhook.js create [callback_url]
+//   node scripts/strava-webhook.js list
+//   node scripts/strava-webhook.js delete <subscription_id>
+require('dotenv').config();
+const axios = require('axios');
+
+const PUSH_SUBSCRIPTIONS_URL = 'https://www.strava.com/api/v3/push_subscriptions';
+
+const credentials = {
+  client_id: process.env.STRAVA_CLIENT_ID,
+  client_secret: process.env.STRAVA_CLIENT_SECRET
+};
+
+// Strava allows one subscription per application
+async function createSubscription(callbackUrl = process.env.STRAVA_WEBHOOK_CALLBACK_URL) {
+  if (!callbackUrl) {
+    throw new Error('Callback URL required (argument or STRAVA_WEBHOOK_CALLBACK_URL)');
+  }
+  if (!process.env.STRAVA_WEBHOOK_VERIFY_TOKEN) {
+    throw new Error('STRAVA_WEBHOOK_VERIFY_TOKEN must be set (and deployed) before subscribing');
+  }
+
+  console.log(`Creating subscription for ${callbackUrl}...`);
+
+  // Strava calls GET <callback_url> to validate before responding
+  const response = await axios.post(PUSH_SUBSCRIPTIONS_URL, {
+    ...credentials,
+    callback_url: callbackUrl,
+    verify_token: process.env.STRAVA_WEBHOOK_VERIFY_TOKEN
+  });
+
+  console.log(`✅ Subscription created: ${response.data.id}`);
+  console.log('Set STRAVA_WEBHOOK_SUBSCRIPTION_ID to this ID to reject events for other subscriptions');
+  return response.data;
+}
+
+async function listSubscriptions() {
+  const response = await axios.get(PUSH_SUBSCRIPTIONS_URL, { params: credentials });
+
+  if (response.data.length === 0) {
+    console.log('No subscriptions found');
+  }
+
+  for (const subscription of response.data) {
+    console.log(`${subscription.id}: ${subscription.callback_url} (created ${subscription.created_at})`);
+  }
+
+  return response.data;
+}
+
+async function deleteSubscription(subscriptionId) {
+  if (!subscriptionId) {
+    throw new Error('Subscription ID required');
+  }
+
+  await axios.delete(`${PUSH_SUBSCRIPTIONS_URL}/${subscriptionId}`, { params: credentials });
+  console.log(`✅ Subscription ${subscriptionId} deleted`);
+}
+
+// Run the script
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  const commands = {
+    create: () => createSubscription(arg),
+    list: () => listSubscriptions(),
+    delete: () => deleteSubscription(arg)
+  };
+
+  if (!commands[command]) {
+    console.error('Usage: node scripts/strava-webhook.js <create [callback_url]|list|delete <id>>');
+    process.exit(1);
+  }
+
+  if (!credentials.client_id || !credentials.client_secret) {
+    console.error('❌ STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET must be set');
+    process.exit(1);
+  }
+
+  commands[command]().then(() => {
+    process.exit(0);
+  }).catch(error => {
+    console.error('Webhook command failed:', error.response?.data || error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSubscription, listSubscriptions, deleteSubscription };
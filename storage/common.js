@@ -0,0 +1,193 @@
+// storage/common.js - Pieces shared by the storage backends
+const crypto = require("crypto");
+
+class InvalidCursorError extends Error {
+  constructor(message = "Invalid cursor") {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+// Failed conditional writes look like DynamoDB's, whatever the backend, so
+// callers can keep checking error.name
+function conditionFailedError(message = "The conditional request failed") {
+  const error = new Error(message);
+  error.name = "ConditionalCheckFailedException";
+  return error;
+}
+
+// Cursors are the start_date index key of the last activity returned,
+// base64url-encoded so clients treat them as opaque
+function encodeCursor(activity) {
+  const key = {
+    id: activity.id,
+    athlete_id: activity.athlete_id,
+    start_date: activity.start_date,
+  };
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor, athleteId) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  if (
+    typeof key?.id !== "number" ||
+    key.athlete_id !== athleteId.toString() ||
+    typeof key.start_date !== "string"
+  ) {
+    throw new InvalidCursorError();
+  }
+
+  return key;
+}
+
+// A new queued sync job. Job IDs start with a millisecond timestamp so
+// they sort chronologically within an athlete's jobs. `range` records the
+// slice of activities the job was limited to, if any. A job created with
+// `resumeFrom` takes over that job's checkpoint and counts.
+function buildSyncJob(athleteId, { type, range = null, resumeFrom }) {
+  const now = new Date().toISOString();
+
+  return {
+    athlete_id: athleteId.toString(),
+    job_id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+    type,
+    range,
+    state: "queued",
+    pages_fetched: resumeFrom?.pages_fetched || 0,
+    activities_stored: resumeFrom?.activities_stored || 0,
+    activities_skipped: resumeFrom?.activities_skipped || 0,
+    streams_fetched: resumeFrom?.streams_fetched || 0,
+    filtered_by_rule: resumeFrom?.filtered_by_rule || {},
+    filtered_activities: resumeFrom?.filtered_activities || [],
+    checkpoint: resumeFrom?.checkpoint || null,
+    resumed_from: resumeFrom?.job_id || null,
+    error_message: null,
+    created_at: now,
+    started_at: null,
+    finished_at: null,
+    updated_at: now,
+  };
+}
+
+// Points per stream chunk. All eight streams for 2,000 points come to
+// roughly 150KB, well under DynamoDB's 400KB item limit.
+const STREAM_CHUNK_POINTS = 2000;
+
+// Sort key of a stream chunk: zero-padded so an activity's chunks sort in
+// order, with "#" keeping 12# from matching 123#
+function streamChunkId(activityId, index) {
+  return `${parseInt(activityId)}#${index.toString().padStart(4, "0")}`;
+}
+
+function streamChunkPrefix(activityId) {
+  return `${parseInt(activityId)}#`;
+}
+
+// Split a streams record (see activity-streams.js) into stored chunks
+function chunkStreams(athleteId, activityId, record) {
+  const size = Math.max(
+    0,
+    ...Object.values(record.streams).map((data) => data.length)
+  );
+  const chunkCount = Math.max(1, Math.ceil(size / STREAM_CHUNK_POINTS));
+  const fetchedAt = record.fetched_at || new Date().toISOString();
+
+  return Array.from({ length: chunkCount }, (_, index) => {
+    const start = index * STREAM_CHUNK_POINTS;
+
+    return {
+      athlete_id: athleteId.toString(),
+      chunk_id: streamChunkId(activityId, index),
+      activity_id: parseInt(activityId),
+      chunk_index: index,
+      chunk_count: chunkCount,
+      series_type: record.series_type,
+      original_size: record.original_size,
+      fetched_at: fetchedAt,
+      streams: Object.fromEntries(
+        Object.entries(record.streams).map(([key, data]) => [
+          key,
+          data.slice(start, start + STREAM_CHUNK_POINTS),
+        ])
+      ),
+    };
+  });
+}
+
+// Put an activity's chunks back together. Null unless every chunk of the
+// same fetch is there (e.g. while a refetch is being written).
+function joinStreamChunks(chunks) {
+  const sorted = [...chunks].sort((a, b) => a.chunk_index - b.chunk_index);
+  const [first] = sorted;
+
+  if (!first) {
+    return null;
+  }
+
+  const complete = sorted.filter(
+    (chunk) => chunk.fetched_at === first.fetched_at
+  );
+  if (complete.length !== first.chunk_count) {
+    return null;
+  }
+
+  return {
+    series_type: first.series_type,
+    original_size: first.original_size,
+    fetched_at: first.fetched_at,
+    streams: Object.fromEntries(
+      Object.keys(first.streams).map((key) => [
+        key,
+        complete.flatMap((chunk) => chunk.streams[key] || []),
+      ])
+    ),
+  };
+}
+
+// Export job records are kept this long; their archives expire sooner
+// (see account-export.js)
+const EXPORT_JOB_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// A new queued account export job, with job IDs like sync jobs'
+function buildExportJob(athleteId) {
+  const now = new Date();
+
+  return {
+    athlete_id: athleteId.toString(),
+    job_id: `${now.getTime()}-${crypto.randomBytes(4).toString("hex")}`,
+    state: "queued",
+    activity_count: null,
+    size_bytes: null,
+    error_message: null,
+    created_at: now.toISOString(),
+    started_at: null,
+    finished_at: null,
+    expires_at: null,
+    // DynamoDB TTL attribute (epoch seconds)
+    ttl: Math.floor(now.getTime() / 1000) + EXPORT_JOB_RETENTION_SECONDS,
+  };
+}
+
+// Whether an export archive stored until `expiresAt` has expired
+function isExportExpired(expiresAt) {
+  return !expiresAt || Date.parse(expiresAt) <= Date.now();
+}
+
+module.exports = {
+  InvalidCursorError,
+  conditionFailedError,
+  encodeCursor,
+  decodeCursor,
+  buildSyncJob,
+  buildExportJob,
+  isExportExpired,
+  streamChunkPrefix,
+  chunkStreams,
+  joinStreamChunks,
+};
@@ -0,0 +1,1474 @@
+// storage/dynamodb.js - DynamoDB storage backend (AWS SDK v3)
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  DeleteCommand,
+  UpdateCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchWriteCommand,
+  BatchGetCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { encryptTokens, decryptAuthRecord } = require("../token-encryption");
+const {
+  encodeCursor,
+  decodeCursor,
+  buildSyncJob,
+  buildExportJob,
+  streamChunkPrefix,
+  chunkStreams,
+  joinStreamChunks,
+} = require("./common");
+
+// Region and credentials for the AWS clients
+const getClientConfig = () => {
+  console.log("Region:", process.env.AWS_REGION || "us-east-1");
+
+  // For Lambda, use IAM role credentials (no explicit credentials needed)
+  // For local development, use environment variables if available
+  const clientConfig = {
+    region: process.env.AWS_REGION || "us-east-1",
+  };
+
+  // Only add explicit credentials if running locally (not in Lambda)
+  if (
+    process.env.NODE_ENV !== "production" &&
+    process.env.AWS_ACCESS_KEY_ID &&
+    process.env.AWS_SECRET_ACCESS_KEY
+  ) {
+    console.log("Using explicit credentials for local development");
+    clientConfig.credentials = {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID.trim(),
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY.trim(),
+    };
+  } else if (process.env.NODE_ENV === "production") {
+    console.log("Using IAM role credentials for Lambda");
+  }
+
+  return clientConfig;
+};
+
+const getDynamoDBClient = () => {
+  console.log("Configuring DynamoDB client...");
+  const client = new DynamoDBClient(getClientConfig());
+  return DynamoDBDocumentClient.from(client);
+};
+
+// Created on first use, so requiring this module needs no AWS config
+let documentClient;
+
+const dynamodb = {
+  send(command) {
+    documentClient = documentClient || getDynamoDBClient();
+    return documentClient.send(command);
+  },
+};
+
+let s3Client;
+
+const s3 = {
+  client() {
+    s3Client = s3Client || new S3Client(getClientConfig());
+    return s3Client;
+  },
+  send(command) {
+    return s3.client().send(command);
+  },
+};
+
+// Table names
+const ACTIVITIES_TABLE =
+  process.env.DYNAMODB_ACTIVITIES_TABLE || "strava-activities";
+const AUTH_TABLE = process.env.DYNAMODB_AUTH_TABLE || "strava-auth";
+const SYNC_JOBS_TABLE =
+  process.env.DYNAMODB_SYNC_JOBS_TABLE || "strava-sync-jobs";
+const OVERRIDES_TABLE =
+  process.env.DYNAMODB_OVERRIDES_TABLE || "strava-activity-overrides";
+const STREAMS_TABLE =
+  process.env.DYNAMODB_STREAMS_TABLE || "strava-activity-streams";
+const EXPORTS_TABLE =
+  process.env.DYNAMODB_EXPORTS_TABLE || "strava-account-exports";
+
+// Activities table indexes: every activity by athlete, and the same sorted
+// by start_date. The second is sparse: rows synced before start_date was
+// stored are left out until scripts/migrations/ backfill it.
+const ATHLETE_INDEX = "athlete-index";
+const ATHLETE_START_DATE_INDEX = "athlete-start-date-index";
+
+// S3 bucket for export archives, and how long a download URL is valid
+const EXPORTS_BUCKET = process.env.EXPORTS_BUCKET;
+const EXPORT_DOWNLOAD_URL_SECONDS = 5 * 60;
+
+// Build "SET a = :a, b = :b" from an object, skipping undefined values
+function buildSetExpression(fields, values = {}) {
+  const setClauses = [];
+  const names = {};
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      setClauses.push(`#${name} = :${name}`);
+      names[`#${name}`] = name;
+      values[`:${name}`] = value;
+    }
+  }
+
+  return { setClauses, names, values };
+}
+
+// Run a query to the end, following LastEvaluatedKey across pages
+async function queryAll(input) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({ ...input, ExclusiveStartKey: lastEvaluatedKey })
+    );
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+// Retry attempts for keys/items DynamoDB hands back as unprocessed
+const MAX_UNPROCESSED_RETRIES = 5;
+
+// Send a batch write, retrying UnprocessedItems with exponential backoff
+async function sendBatchWrite(tableName, requests) {
+  let pending = requests;
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      if (attempt > MAX_UNPROCESSED_RETRIES) {
+        throw new Error(
+          `${pending.length} items still unprocessed after ${MAX_UNPROCESSED_RETRIES} retries`
+        );
+      }
+
+      const backoffDelay = Math.pow(2, attempt) * 100;
+      console.log(
+        `Retrying ${pending.length} unprocessed items in ${backoffDelay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+    }
+
+    const result = await dynamodb.send(
+      new BatchWriteCommand({
+        RequestItems: { [tableName]: pending },
+      })
+    );
+
+    pending = result.UnprocessedItems?.[tableName] || [];
+  }
+}
+
+// ========================================
+// AUTH TOKEN OPERATIONS
+// ========================================
+
+// Store/update authentication tokens (tokens are encrypted at rest).
+// Updates in place so attributes not passed in (e.g. created_at) survive
+// a reconnect, and bumps token_version so in-flight refreshes lose.
+// Reconnecting clears any needs_reauth flag.
+async function storeAuthToken(athleteId, tokenData) {
+  const encryptedTokens = await encryptTokens(athleteId, tokenData);
+  const now = new Date().toISOString();
+
+  const { setClauses, names, values } = buildSetExpression(
+    {
+      encrypted_tokens: encryptedTokens,
+      expires_at: tokenData.expires_at,
+      athlete_info: tokenData.athlete_info,
+      scopes: tokenData.scopes,
+      updated_at: now,
+    },
+    { ":now": now, ":zero": 0, ":one": 1 }
+  );
+
+  setClauses.push(
+    "created_at = if_not_exists(created_at, :now)",
+    "token_version = if_not_exists(token_version, :zero) + :one"
+  );
+
+  const command = new UpdateCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    UpdateExpression: `SET ${setClauses.join(
+      ", "
+    )} REMOVE access_token, refresh_token, needs_reauth, needs_reauth_at`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  });
+
+  try {
+    await dynamodb.send(command);
+    console.log(`Stored auth token for athlete: ${athleteId}`);
+    return true;
+  } catch (error) {
+    console.error("Error storing auth token:", error);
+    throw error;
+  }
+}
+
+// Get authentication tokens
+async function getAuthToken(athleteId) {
+  const command = new GetCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return (await decryptAuthRecord(result.Item)) || null;
+  } catch (error) {
+    console.error("Error getting auth token:", error);
+    throw error;
+  }
+}
+
+// List every connected athlete with what the scheduler needs (no tokens)
+async function listConnectedAthletes() {
+  const athletes = [];
+  let lastEvaluatedKey;
+
+  do {
+    const command = new ScanCommand({
+      TableName: AUTH_TABLE,
+      ProjectionExpression: "athlete_id, last_synced_at, needs_reauth",
+      ExclusiveStartKey: lastEvaluatedKey,
+    });
+
+    try {
+      const result = await dynamodb.send(command);
+      athletes.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } catch (error) {
+      console.error("Error listing connected athletes:", error);
+      throw error;
+    }
+  } while (lastEvaluatedKey);
+
+  return athletes;
+}
+
+// Flag an athlete whose refresh token Strava no longer accepts. Cleared
+// when they reconnect (storeAuthToken).
+async function markNeedsReauth(athleteId) {
+  const command = new UpdateCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    UpdateExpression: "SET needs_reauth = :true, needs_reauth_at = :now",
+    ConditionExpression: "attribute_exists(athlete_id)",
+    ExpressionAttributeValues: {
+      ":true": true,
+      ":now": new Date().toISOString(),
+    },
+  });
+
+  try {
+    await dynamodb.send(command);
+    console.log(`Athlete ${athleteId} needs to reauthorize with Strava`);
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") {
+      console.error("Error marking athlete for reauthorization:", error);
+      throw error;
+    }
+  }
+}
+
+// Delete authentication tokens (athlete disconnected)
+async function deleteAuthToken(athleteId) {
+  const command = new DeleteCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    ReturnValues: "ALL_OLD",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    console.log(`Deleted auth token for athlete: ${athleteId}`);
+    return !!result.Attributes;
+  } catch (error) {
+    console.error("Error deleting auth token:", error);
+    throw error;
+  }
+}
+
+// Store refreshed tokens only if nobody else has refreshed since
+// authData was read (compare-and-set on token_version)
+async function storeRefreshedToken(athleteId, tokenData, expectedVersion) {
+  const encryptedTokens = await encryptTokens(athleteId, tokenData);
+
+  const command = new UpdateCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    UpdateExpression:
+      "SET encrypted_tokens = :tokens, expires_at = :expires_at, updated_at = :now, token_version = :next REMOVE access_token, refresh_token",
+    ConditionExpression:
+      expectedVersion === undefined
+        ? "attribute_exists(athlete_id) AND attribute_not_exists(token_version)"
+        : "token_version = :expected",
+    ExpressionAttributeValues: {
+      ":tokens": encryptedTokens,
+      ":expires_at": tokenData.expires_at,
+      ":now": new Date().toISOString(),
+      ":next": (expectedVersion || 0) + 1,
+      ...(expectedVersion !== undefined && { ":expected": expectedVersion }),
+    },
+  });
+
+  await dynamodb.send(command);
+}
+
+// Newest activity start_date covered by a completed sync, if any
+async function getSyncWatermark(athleteId) {
+  const command = new GetCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    ProjectionExpression: "last_synced_start_date",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Item?.last_synced_start_date || null;
+  } catch (error) {
+    console.error("Error getting sync watermark:", error);
+    throw error;
+  }
+}
+
+// Advance the sync watermark (never moves it backwards)
+async function updateSyncWatermark(athleteId, startDate) {
+  const command = new UpdateCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    UpdateExpression: "SET last_synced_start_date = :start_date",
+    ConditionExpression:
+      "attribute_exists(athlete_id) AND (attribute_not_exists(last_synced_start_date) OR last_synced_start_date < :start_date)",
+    ExpressionAttributeValues: {
+      ":start_date": startDate,
+    },
+  });
+
+  try {
+    await dynamodb.send(command);
+    console.log(
+      `Advanced sync watermark for athlete ${athleteId} to ${startDate}`
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    console.error("Error updating sync watermark:", error);
+    throw error;
+  }
+}
+
+// Athlete's activity filter settings (see activity-filters.js), if saved
+async function getFilterSettings(athleteId) {
+  const command = new GetCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    ProjectionExpression: "filter_settings",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Item?.filter_settings || null;
+  } catch (error) {
+    console.error("Error getting filter settings:", error);
+    throw error;
+  }
+}
+
+// Save an athlete's activity filter settings on their auth record
+async function storeFilterSettings(athleteId, settings) {
+  const command = new UpdateCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    UpdateExpression: "SET filter_settings = :settings",
+    ConditionExpression: "attribute_exists(athlete_id)",
+    ExpressionAttributeValues: {
+      ":settings": {
+        ...settings,
+        updated_at: new Date().toISOString(),
+      },
+    },
+  });
+
+  try {
+    await dynamodb.send(command);
+    console.log(`Stored filter settings for athlete: ${athleteId}`);
+  } catch (error) {
+    console.error("Error storing filter settings:", error);
+    throw error;
+  }
+}
+
+// Record when an athlete's activities were last fully brought up to date
+async function recordSyncCompleted(athleteId) {
+  const command = new UpdateCommand({
+    TableName: AUTH_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+    },
+    UpdateExpression: "SET last_synced_at = :now",
+    ConditionExpression: "attribute_exists(athlete_id)",
+    ExpressionAttributeValues: {
+      ":now": new Date().toISOString(),
+    },
+  });
+
+  try {
+    await dynamodb.send(command);
+  } catch (error) {
+    // Disconnected while the sync was running
+    if (error.name !== "ConditionalCheckFailedException") {
+      console.error("Error recording sync completion:", error);
+      throw error;
+    }
+  }
+}
+
+// ========================================
+// ACTIVITY OPERATIONS
+// ========================================
+
+// Store a single activity
+async function storeActivity(activity) {
+  const command = new PutCommand({
+    TableName: ACTIVITIES_TABLE,
+    Item: {
+      ...activity,
+      stored_at: new Date().toISOString(),
+    },
+  });
+
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    console.error("Error storing activity:", error);
+    throw error;
+  }
+}
+
+// Store multiple activities (batch operation)
+async function storeActivities(activities) {
+  const batchSize = 25; // DynamoDB batch limit
+  const batches = [];
+
+  for (let i = 0; i < activities.length; i += batchSize) {
+    batches.push(activities.slice(i, i + batchSize));
+  }
+
+  let totalStored = 0;
+
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    const requests = batch.map((activity) => ({
+      PutRequest: {
+        Item: {
+          ...activity,
+          stored_at: new Date().toISOString(),
+        },
+      },
+    }));
+
+    let retryCount = 0;
+    const maxRetries = 3;
+
+    while (retryCount <= maxRetries) {
+      try {
+        await sendBatchWrite(ACTIVITIES_TABLE, requests);
+        totalStored += batch.length;
+        console.log(
+          `Stored batch ${i + 1}/${batches.length} (${
+            batch.length
+          } activities) - Total: ${totalStored}/${activities.length}`
+        );
+
+        // Longer delay to avoid throttling, especially for large batches
+        const delayMs = activities.length > 500 ? 1000 : 500; // 1 second for large syncs
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        break; // Success, exit retry loop
+      } catch (error) {
+        if (
+          error.name === "ProvisionedThroughputExceededException" &&
+          retryCount < maxRetries
+        ) {
+          retryCount++;
+          const backoffDelay = Math.pow(2, retryCount) * 1000; // Exponential backoff
+          console.log(
+            `Throughput exceeded, retrying batch ${
+              i + 1
+            } in ${backoffDelay}ms (attempt ${retryCount}/${maxRetries})`
+          );
+          await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+        } else {
+          console.error("Error storing activity batch:", error);
+          throw error;
+        }
+      }
+    }
+  }
+
+  console.log(`Successfully stored ${totalStored} activities`);
+  return totalStored;
+}
+
+// Equality filters on `type` and `sport_type` (see
+// resolveActivityTypeFilter)
+function buildActivityFilter(filters) {
+  const conditions = [];
+  const names = {};
+  const values = {};
+
+  for (const field of ["type", "sport_type"]) {
+    if (filters[field]) {
+      conditions.push(`#${field} = :${field}`);
+      names[`#${field}`] = field;
+      values[`:${field}`] = filters[field];
+    }
+  }
+
+  if (conditions.length === 0) {
+    return {};
+  }
+
+  return {
+    FilterExpression: conditions.join(" AND "),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+}
+
+// Get a page of an athlete's activities in start date order (`order` is
+// "asc" or "desc"), continuing from `cursor`. Activities are matched
+// against `filters` and then `keep` (for checks DynamoDB can't do), so
+// pages are filled up to `limit` after filtering; without a limit every
+// match is returned. `next_cursor` is null on the last page.
+async function getActivitiesPage(
+  athleteId,
+  filters = {},
+  { limit, cursor, order = "desc", keep } = {}
+) {
+  const filter = buildActivityFilter(filters);
+  const activities = [];
+  let exclusiveStartKey = cursor ? decodeCursor(cursor, athleteId) : undefined;
+
+  try {
+    while (true) {
+      const result = await dynamodb.send(
+        new QueryCommand({
+          TableName: ACTIVITIES_TABLE,
+          IndexName: ATHLETE_START_DATE_INDEX,
+          KeyConditionExpression: "athlete_id = :athlete_id",
+          FilterExpression: filter.FilterExpression,
+          ExpressionAttributeNames: filter.ExpressionAttributeNames,
+          ExpressionAttributeValues: {
+            ":athlete_id": athleteId.toString(),
+            ...filter.ExpressionAttributeValues,
+          },
+          ScanIndexForward: order === "asc",
+          Limit: limit,
+          ExclusiveStartKey: exclusiveStartKey,
+        })
+      );
+      const items = result.Items || [];
+
+      for (const [index, item] of items.entries()) {
+        if (keep && !keep(item)) {
+          continue;
+        }
+
+        activities.push(item);
+
+        if (activities.length === limit) {
+          const more = index < items.length - 1 || !!result.LastEvaluatedKey;
+          return {
+            activities,
+            next_cursor: more ? encodeCursor(item) : null,
+          };
+        }
+      }
+
+      if (!result.LastEvaluatedKey) {
+        return { activities, next_cursor: null };
+      }
+      exclusiveStartKey = result.LastEvaluatedKey;
+    }
+  } catch (error) {
+    console.error("Error getting activities:", error);
+    throw error;
+  }
+}
+
+// Get all of an athlete's activities matching `filters`, newest first
+async function getActivities(athleteId, filters = {}) {
+  const { activities } = await getActivitiesPage(athleteId, filters);
+  return activities;
+}
+
+// Get a specific activity by ID
+async function getActivity(activityId) {
+  const command = new GetCommand({
+    TableName: ACTIVITIES_TABLE,
+    Key: {
+      id: parseInt(activityId),
+    },
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Item || null;
+  } catch (error) {
+    console.error("Error getting activity:", error);
+    throw error;
+  }
+}
+
+// Delete a single activity
+async function deleteActivity(activityId) {
+  const command = new DeleteCommand({
+    TableName: ACTIVITIES_TABLE,
+    Key: {
+      id: parseInt(activityId),
+    },
+    ReturnValues: "ALL_OLD",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return !!result.Attributes;
+  } catch (error) {
+    console.error("Error deleting activity:", error);
+    throw error;
+  }
+}
+
+// Check if activity exists (to avoid duplicates)
+async function activityExists(activityId) {
+  const command = new GetCommand({
+    TableName: ACTIVITIES_TABLE,
+    Key: {
+      id: parseInt(activityId),
+    },
+    ProjectionExpression: "id",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return !!result.Item;
+  } catch (error) {
+    console.error("Error checking activity existence:", error);
+    return false;
+  }
+}
+
+// Return the IDs from activityIds that aren't stored yet. Checks 100 keys
+// per BatchGetItem and retries UnprocessedKeys.
+async function findMissingActivityIds(activityIds) {
+  const batchSize = 100; // DynamoDB BatchGetItem limit
+  const uniqueIds = [...new Set(activityIds.map((id) => parseInt(id)))];
+  const existingIds = new Set();
+
+  for (let i = 0; i < uniqueIds.length; i += batchSize) {
+    let pendingKeys = uniqueIds
+      .slice(i, i + batchSize)
+      .map((id) => ({ id }));
+
+    for (let attempt = 0; pendingKeys.length > 0; attempt++) {
+      if (attempt > 0) {
+        if (attempt > MAX_UNPROCESSED_RETRIES) {
+          throw new Error(
+            `${pendingKeys.length} keys still unprocessed after ${MAX_UNPROCESSED_RETRIES} retries`
+          );
+        }
+        const backoffDelay = Math.pow(2, attempt) * 100;
+        await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+      }
+
+      const command = new BatchGetCommand({
+        RequestItems: {
+          [ACTIVITIES_TABLE]: {
+            Keys: pendingKeys,
+            ProjectionExpression: "id",
+          },
+        },
+      });
+
+      try {
+        const result = await dynamodb.send(command);
+
+        for (const item of result.Responses?.[ACTIVITIES_TABLE] || []) {
+          existingIds.add(item.id);
+        }
+
+        pendingKeys =
+          result.UnprocessedKeys?.[ACTIVITIES_TABLE]?.Keys || [];
+      } catch (error) {
+        console.error("Error checking activity existence:", error);
+        throw error;
+      }
+    }
+  }
+
+  return uniqueIds.filter((id) => !existingIds.has(id));
+}
+
+// Get activity count for an athlete
+async function getActivityCount(athleteId) {
+  let count = 0;
+  let lastEvaluatedKey;
+
+  try {
+    // Counts are per 1MB page too
+    do {
+      const result = await dynamodb.send(
+        new QueryCommand({
+          TableName: ACTIVITIES_TABLE,
+          IndexName: ATHLETE_INDEX,
+          KeyConditionExpression: "athlete_id = :athlete_id",
+          ExpressionAttributeValues: {
+            ":athlete_id": athleteId.toString(),
+          },
+          Select: "COUNT",
+          ExclusiveStartKey: lastEvaluatedKey,
+        })
+      );
+      count += result.Count || 0;
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return count;
+  } catch (error) {
+    console.error("Error getting activity count:", error);
+    return 0;
+  }
+}
+
+// Every stored activity for an athlete, in no particular order. Uses the
+// unsorted index so rows without a start_date are included.
+async function getAllActivities(athleteId) {
+  try {
+    return await queryAll({
+      TableName: ACTIVITIES_TABLE,
+      IndexName: ATHLETE_INDEX,
+      KeyConditionExpression: "athlete_id = :athlete_id",
+      ExpressionAttributeValues: {
+        ":athlete_id": athleteId.toString(),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting all activities:", error);
+    throw error;
+  }
+}
+
+// List the ID, fingerprint and start date of every stored activity for an
+// athlete (used to reconcile against Strava)
+async function getActivityFingerprints(athleteId) {
+  try {
+    return await queryAll({
+      TableName: ACTIVITIES_TABLE,
+      IndexName: ATHLETE_INDEX,
+      KeyConditionExpression: "athlete_id = :athlete_id",
+      ExpressionAttributeValues: {
+        ":athlete_id": athleteId.toString(),
+      },
+      ProjectionExpression: "id, fingerprint, start_date",
+    });
+  } catch (error) {
+    console.error("Error getting activity fingerprints:", error);
+    throw error;
+  }
+}
+
+// Sport type (or legacy type) of every stored activity for an athlete
+async function getActivityTypes(athleteId) {
+  try {
+    return await queryAll({
+      TableName: ACTIVITIES_TABLE,
+      IndexName: ATHLETE_INDEX,
+      KeyConditionExpression: "athlete_id = :athlete_id",
+      ExpressionAttributeNames: { "#type": "type" },
+      ExpressionAttributeValues: {
+        ":athlete_id": athleteId.toString(),
+      },
+      ProjectionExpression: "sport_type, #type",
+    });
+  } catch (error) {
+    console.error("Error getting activity types:", error);
+    throw error;
+  }
+}
+
+// Delete activities by ID (batch operation)
+async function deleteActivities(activityIds) {
+  const batchSize = 25; // DynamoDB batch limit
+  let totalDeleted = 0;
+
+  for (let i = 0; i < activityIds.length; i += batchSize) {
+    const batch = activityIds.slice(i, i + batchSize);
+    const requests = batch.map((id) => ({
+      DeleteRequest: {
+        Key: { id: parseInt(id) },
+      },
+    }));
+
+    try {
+      await sendBatchWrite(ACTIVITIES_TABLE, requests);
+      totalDeleted += batch.length;
+      console.log(
+        `Deleted batch of ${batch.length} activities (${totalDeleted}/${activityIds.length})`
+      );
+    } catch (error) {
+      console.error("Error deleting activity batch:", error);
+      throw error;
+    }
+  }
+
+  return totalDeleted;
+}
+
+// Delete all activities for an athlete (for fresh sync). Uses the
+// unsorted index so rows without a start_date go too.
+async function deleteAllActivities(athleteId) {
+  let activities;
+  try {
+    activities = await queryAll({
+      TableName: ACTIVITIES_TABLE,
+      IndexName: ATHLETE_INDEX,
+      KeyConditionExpression: "athlete_id = :athlete_id",
+      ExpressionAttributeValues: {
+        ":athlete_id": athleteId.toString(),
+      },
+      ProjectionExpression: "id",
+    });
+  } catch (error) {
+    console.error("Error listing activities to delete:", error);
+    throw error;
+  }
+
+  if (activities.length === 0) {
+    return 0;
+  }
+
+  const totalDeleted = await deleteActivities(
+    activities.map((activity) => activity.id)
+  );
+
+  console.log(`Successfully deleted ${totalDeleted} activities`);
+  return totalDeleted;
+}
+
+// ========================================
+// ACTIVITY OVERRIDE OPERATIONS
+// ========================================
+
+// An athlete's overrides for one activity (see activity-overrides.js)
+async function getActivityOverrides(athleteId, activityId) {
+  const command = new GetCommand({
+    TableName: OVERRIDES_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+      activity_id: parseInt(activityId),
+    },
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Item || null;
+  } catch (error) {
+    console.error("Error getting activity overrides:", error);
+    throw error;
+  }
+}
+
+// All of an athlete's overrides, as a Map of activity ID -> overrides
+async function listActivityOverrides(athleteId) {
+  try {
+    const items = await queryAll({
+      TableName: OVERRIDES_TABLE,
+      KeyConditionExpression: "athlete_id = :athlete_id",
+      ExpressionAttributeValues: {
+        ":athlete_id": athleteId.toString(),
+      },
+    });
+    return new Map(items.map((item) => [item.activity_id, item]));
+  } catch (error) {
+    console.error("Error listing activity overrides:", error);
+    throw error;
+  }
+}
+
+// Set override fields on an activity; fields set to null are cleared.
+// Returns the overrides after the update.
+async function updateActivityOverrides(athleteId, activityId, changes) {
+  const values = {};
+  const { setClauses, names } = buildSetExpression(
+    {
+      ...Object.fromEntries(
+        Object.entries(changes).filter(([, value]) => value !== null)
+      ),
+      updated_at: new Date().toISOString(),
+    },
+    values
+  );
+
+  const removed = Object.keys(changes).filter(
+    (field) => changes[field] === null
+  );
+  for (const field of removed) {
+    names[`#${field}`] = field;
+  }
+
+  const command = new UpdateCommand({
+    TableName: OVERRIDES_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+      activity_id: parseInt(activityId),
+    },
+    UpdateExpression: [
+      `SET ${setClauses.join(", ")}`,
+      removed.length > 0
+        ? `REMOVE ${removed.map((field) => `#${field}`).join(", ")}`
+        : "",
+    ]
+      .join(" ")
+      .trim(),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: "ALL_NEW",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    console.log(
+      `Updated overrides for activity ${activityId} (athlete ${athleteId})`
+    );
+    return result.Attributes;
+  } catch (error) {
+    console.error("Error updating activity overrides:", error);
+    throw error;
+  }
+}
+
+// Delete all of an athlete's overrides (when purging their data)
+async function deleteAllActivityOverrides(athleteId) {
+  const overrides = await listActivityOverrides(athleteId);
+  const keys = [...overrides.keys()];
+  const batchSize = 25; // DynamoDB batch limit
+
+  for (let i = 0; i < keys.length; i += batchSize) {
+    const requests = keys.slice(i, i + batchSize).map((activityId) => ({
+      DeleteRequest: {
+        Key: { athlete_id: athleteId.toString(), activity_id: activityId },
+      },
+    }));
+
+    try {
+      await sendBatchWrite(OVERRIDES_TABLE, requests);
+    } catch (error) {
+      console.error("Error deleting activity overrides:", error);
+      throw error;
+    }
+  }
+
+  return keys.length;
+}
+
+// ========================================
+// ACTIVITY STREAM OPERATIONS
+// ========================================
+
+// Chunks of one activity's streams, or of all the athlete's activities
+async function queryStreamChunks(athleteId, activityId, projection) {
+  const query = {
+    TableName: STREAMS_TABLE,
+    KeyConditionExpression: "athlete_id = :athlete_id",
+    ExpressionAttributeValues: {
+      ":athlete_id": athleteId.toString(),
+    },
+  };
+
+  if (projection) {
+    query.ProjectionExpression = projection;
+  }
+  if (activityId !== undefined) {
+    query.KeyConditionExpression += " AND begins_with(chunk_id, :prefix)";
+    query.ExpressionAttributeValues[":prefix"] = streamChunkPrefix(activityId);
+  }
+
+  return queryAll(query);
+}
+
+async function putStreamChunks(chunks) {
+  const batchSize = 25; // DynamoDB batch limit
+
+  for (let i = 0; i < chunks.length; i += batchSize) {
+    const requests = chunks
+      .slice(i, i + batchSize)
+      .map((chunk) => ({ PutRequest: { Item: chunk } }));
+
+    await sendBatchWrite(STREAMS_TABLE, requests);
+  }
+}
+
+async function deleteStreamChunks(athleteId, chunkIds) {
+  const batchSize = 25; // DynamoDB batch limit
+
+  for (let i = 0; i < chunkIds.length; i += batchSize) {
+    const requests = chunkIds.slice(i, i + batchSize).map((chunkId) => ({
+      DeleteRequest: {
+        Key: { athlete_id: athleteId.toString(), chunk_id: chunkId },
+      },
+    }));
+
+    await sendBatchWrite(STREAMS_TABLE, requests);
+  }
+}
+
+// An activity's streams (see activity-streams.js), or null if they
+// haven't been fetched
+async function getActivityStreams(athleteId, activityId) {
+  try {
+    return joinStreamChunks(await queryStreamChunks(athleteId, activityId));
+  } catch (error) {
+    console.error("Error getting activity streams:", error);
+    throw error;
+  }
+}
+
+// Store an activity's streams in chunks, replacing any stored before
+async function storeActivityStreams(athleteId, activityId, record) {
+  const chunks = chunkStreams(athleteId, activityId, record);
+
+  try {
+    await putStreamChunks(chunks);
+
+    // A longer earlier fetch can leave chunks past the new last one
+    const written = new Set(chunks.map((chunk) => chunk.chunk_id));
+    const stale = (await queryStreamChunks(athleteId, activityId, "chunk_id"))
+      .map((chunk) => chunk.chunk_id)
+      .filter((chunkId) => !written.has(chunkId));
+    await deleteStreamChunks(athleteId, stale);
+
+    console.log(
+      `Stored streams for activity ${activityId} in ${chunks.length} chunks`
+    );
+  } catch (error) {
+    console.error("Error storing activity streams:", error);
+    throw error;
+  }
+}
+
+// Delete the streams of some of an athlete's activities (when they're
+// deleted or changed). Returns how many activities had streams.
+async function deleteActivityStreams(athleteId, activityIds) {
+  let deleted = 0;
+
+  try {
+    for (const activityId of activityIds) {
+      const chunks = await queryStreamChunks(athleteId, activityId, "chunk_id");
+
+      if (chunks.length > 0) {
+        await deleteStreamChunks(
+          athleteId,
+          chunks.map((chunk) => chunk.chunk_id)
+        );
+        deleted++;
+      }
+    }
+  } catch (error) {
+    console.error("Error deleting activity streams:", error);
+    throw error;
+  }
+
+  return deleted;
+}
+
+// Delete all of an athlete's streams (when purging their data). Returns
+// how many activities had streams.
+async function deleteAllActivityStreams(athleteId) {
+  try {
+    const chunks = await queryStreamChunks(
+      athleteId,
+      undefined,
+      "chunk_id, activity_id"
+    );
+
+    await deleteStreamChunks(
+      athleteId,
+      chunks.map((chunk) => chunk.chunk_id)
+    );
+    return new Set(chunks.map((chunk) => chunk.activity_id)).size;
+  } catch (error) {
+    console.error("Error deleting activity streams:", error);
+    throw error;
+  }
+}
+
+// ========================================
+// SYNC JOB OPERATIONS
+// ========================================
+
+// Create a queued sync job (see buildSyncJob)
+async function createSyncJob(athleteId, options) {
+  const job = buildSyncJob(athleteId, options);
+
+  const command = new PutCommand({
+    TableName: SYNC_JOBS_TABLE,
+    Item: job,
+  });
+
+  try {
+    await dynamodb.send(command);
+    console.log(
+      `Created ${job.type} sync job ${job.job_id} for athlete: ${athleteId}`
+    );
+    return job;
+  } catch (error) {
+    console.error("Error creating sync job:", error);
+    throw error;
+  }
+}
+
+// Update fields on a sync job (state, counters, timestamps...)
+async function updateSyncJob(athleteId, jobId, updates) {
+  const { setClauses, names, values } = buildSetExpression({
+    ...updates,
+    updated_at: new Date().toISOString(),
+  });
+
+  const command = new UpdateCommand({
+    TableName: SYNC_JOBS_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+      job_id: jobId,
+    },
+    UpdateExpression: `SET ${setClauses.join(", ")}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: "ALL_NEW",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Attributes;
+  } catch (error) {
+    console.error("Error updating sync job:", error);
+    throw error;
+  }
+}
+
+// Get a specific sync job
+async function getSyncJob(athleteId, jobId) {
+  const command = new GetCommand({
+    TableName: SYNC_JOBS_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+      job_id: jobId,
+    },
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Item || null;
+  } catch (error) {
+    console.error("Error getting sync job:", error);
+    throw error;
+  }
+}
+
+// Get an athlete's most recent sync jobs, newest first
+async function getSyncJobs(athleteId, limit = 10) {
+  const command = new QueryCommand({
+    TableName: SYNC_JOBS_TABLE,
+    KeyConditionExpression: "athlete_id = :athlete_id",
+    ExpressionAttributeValues: {
+      ":athlete_id": athleteId.toString(),
+    },
+    ScanIndexForward: false,
+    Limit: limit,
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Items || [];
+  } catch (error) {
+    console.error("Error getting sync jobs:", error);
+    throw error;
+  }
+}
+
+// ========================================
+// ACCOUNT EXPORT OPERATIONS
+// ========================================
+
+// Export jobs are kept in the exports table; finished archives go to S3
+// (too large for DynamoDB items or a Lambda response), under
+// "<athlete ID>/<job ID>.zip", and are downloaded with presigned URLs
+
+function exportArchiveKey(athleteId, jobId) {
+  return `${athleteId}/${jobId}.zip`;
+}
+
+function getExportsBucket() {
+  if (!EXPORTS_BUCKET) {
+    throw new Error("EXPORTS_BUCKET is not configured");
+  }
+  return EXPORTS_BUCKET;
+}
+
+// Create a queued export job (see buildExportJob)
+async function createExportJob(athleteId) {
+  const job = buildExportJob(athleteId);
+
+  const command = new PutCommand({
+    TableName: EXPORTS_TABLE,
+    Item: job,
+  });
+
+  try {
+    await dynamodb.send(command);
+    console.log(`Created export job ${job.job_id} for athlete: ${athleteId}`);
+    return job;
+  } catch (error) {
+    console.error("Error creating export job:", error);
+    throw error;
+  }
+}
+
+// Update fields on an export job. Returns the updated job.
+async function updateExportJob(athleteId, jobId, updates) {
+  const { setClauses, names, values } = buildSetExpression(updates);
+
+  const command = new UpdateCommand({
+    TableName: EXPORTS_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+      job_id: jobId,
+    },
+    UpdateExpression: `SET ${setClauses.join(", ")}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: "ALL_NEW",
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Attributes;
+  } catch (error) {
+    console.error("Error updating export job:", error);
+    throw error;
+  }
+}
+
+// Get an export job, or null
+async function getExportJob(athleteId, jobId) {
+  const command = new GetCommand({
+    TableName: EXPORTS_TABLE,
+    Key: {
+      athlete_id: athleteId.toString(),
+      job_id: jobId,
+    },
+  });
+
+  try {
+    const result = await dynamodb.send(command);
+    return result.Item || null;
+  } catch (error) {
+    console.error("Error getting export job:", error);
+    throw error;
+  }
+}
+
+// Store a finished export's archive in S3. The bucket's lifecycle rule
+// removes it some time after `expiresAt`.
+async function storeExportArchive(athleteId, jobId, archive, expiresAt) {
+  const command = new PutObjectCommand({
+    Bucket: getExportsBucket(),
+    Key: exportArchiveKey(athleteId, jobId),
+    Body: archive,
+    ContentType: "application/zip",
+    Metadata: { expires_at: expiresAt },
+  });
+
+  try {
+    await s3.send(command);
+    console.log(`Stored export ${jobId} (${archive.length} bytes) in S3`);
+  } catch (error) {
+    console.error("Error storing export archive:", error);
+    throw error;
+  }
+}
+
+// Where to download a stored export archive: a short-lived presigned S3
+// URL that saves it as `fileName`. Whether the export has expired is up
+// to the caller (see the job's expires_at).
+async function getExportDownload(athleteId, jobId, fileName) {
+  const command = new GetObjectCommand({
+    Bucket: getExportsBucket(),
+    Key: exportArchiveKey(athleteId, jobId),
+    ResponseContentType: "application/zip",
+    ResponseContentDisposition: `attachment; filename="${fileName}"`,
+  });
+
+  try {
+    const url = await getSignedUrl(s3.client(), command, {
+      expiresIn: EXPORT_DOWNLOAD_URL_SECONDS,
+    });
+    return { url };
+  } catch (error) {
+    console.error("Error signing export download URL:", error);
+    throw error;
+  }
+}
+
+// Delete all of an athlete's export jobs and archives (when purging their
+// data). Returns how many jobs there were.
+async function deleteAllAccountExports(athleteId) {
+  const batchSize = 25; // DynamoDB batch limit
+
+  try {
+    const jobs = await queryAll({
+      TableName: EXPORTS_TABLE,
+      KeyConditionExpression: "athlete_id = :athlete_id",
+      ExpressionAttributeValues: {
+        ":athlete_id": athleteId.toString(),
+      },
+      ProjectionExpression: "job_id",
+    });
+
+    for (let i = 0; i < jobs.length; i += batchSize) {
+      const requests = jobs.slice(i, i + batchSize).map((job) => ({
+        DeleteRequest: {
+          Key: {
+            athlete_id: athleteId.toString(),
+            job_id: job.job_id,
+          },
+        },
+      }));
+      await sendBatchWrite(EXPORTS_TABLE, requests);
+    }
+
+    // Archives may outlive their jobs' items, so list the athlete's prefix
+    if (EXPORTS_BUCKET) {
+      let continuationToken;
+      do {
+        const listing = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: EXPORTS_BUCKET,
+            Prefix: `${athleteId}/`,
+            ContinuationToken: continuationToken,
+          })
+        );
+        const objects = (listing.Contents || []).map(({ Key }) => ({ Key }));
+
+        if (objects.length > 0) {
+          await s3.send(
+            new DeleteObjectsCommand({
+              Bucket: EXPORTS_BUCKET,
+              Delete: { Objects: objects, Quiet: true },
+            })
+          );
+        }
+        continuationToken = listing.NextContinuationToken;
+      } while (continuationToken);
+    }
+
+    return jobs.length;
+  } catch (error) {
+    console.error("Error deleting account exports:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  // Auth operations
+  storeAuthToken,
+  getAuthToken,
+  deleteAuthToken,
+  listConnectedAthletes,
+  markNeedsReauth,
+  storeRefreshedToken,
+  getSyncWatermark,
+  updateSyncWatermark,
+  recordSyncCompleted,
+  getFilterSettings,
+  storeFilterSettings,
+
+  // Activity operations
+  storeActivity,
+  storeActivities,
+  getActivities,
+  getAllActivities,
+  getActivitiesPage,
+  getActivity,
+  deleteActivity,
+  activityExists,
+  findMissingActivityIds,
+  getActivityCount,
+  getActivityFingerprints,
+  getActivityTypes,
+  deleteActivities,
+  deleteAllActivities,
+
+  // Activity override operations
+  getActivityOverrides,
+  listActivityOverrides,
+  updateActivityOverrides,
+  deleteAllActivityOverrides,
+
+  // Activity stream operations
+  getActivityStreams,
+  storeActivityStreams,
+  deleteActivityStreams,
+  deleteAllActivityStreams,
+
+  // Sync job operations
+  createSyncJob,
+  updateSyncJob,
+  getSyncJob,
+  getSyncJobs,
+
+  // Account export operations
+  createExportJob,
+  updateExportJob,
+  getExportJob,
+  storeExportArchive,
+  getExportDownload,
+  deleteAllAccountExports,
+};
@@ -0,0 +1,44 @@
+// storage/file.js - JSON file storage backend for running locally
+//
+// Everything is held in memory (see memory.js) and the whole file is
+// rewritten after each change. Fine for one local process; not for Lambda,
+// where instances don't share a filesystem.
+const fs = require("fs");
+const path = require("path");
+const { emptyState, createMemoryStorage } = require("./memory");
+
+// Holds auth records and token envelopes, so data/ is git-ignored
+const DEFAULT_STORAGE_FILE = path.join(__dirname, "..", "data", "storage.json");
+
+function loadState(file) {
+  try {
+    return { ...emptyState(), ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return emptyState();
+    }
+    throw new Error(`Could not read storage file ${file}: ${error.message}`);
+  }
+}
+
+// Write to a temporary file and rename, so a crash never leaves half a file
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function createFileStorage(
+  file = process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE
+) {
+  console.log(`Using file storage: ${file}`);
+
+  return createMemoryStorage({
+    state: loadState(file),
+    onChange: (state) => saveState(file, state),
+  });
+}
+
+module.exports = {
+  createFileStorage,
+};
@@ -0,0 +1,42 @@
+// storage/index.js - The configured storage backend
+//
+// STORAGE_BACKEND picks where data lives:
+//   dynamodb (default) - the DynamoDB tables (storage/dynamodb.js)
+//   file               - a JSON file, STORAGE_FILE (storage/file.js)
+//   memory             - nothing persisted, for tests (storage/memory.js)
+//
+// Every backend implements the same operations: auth records, sync
+// watermarks and filter settings, activities, activity overrides, activity
+// streams, sync jobs and account exports. Failed conditional writes throw
+// an error named "ConditionalCheckFailedException" and bad cursors
+// InvalidCursorError, whichever backend is in use.
+const { InvalidCursorError, isExportExpired } = require("./common");
+const { isRefreshTokenRevoked, createTokenOperations } = require("./tokens");
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "dynamodb";
+
+function loadBackend(name) {
+  switch (name) {
+    case "dynamodb":
+      return require("./dynamodb");
+    case "file":
+      return require("./file").createFileStorage();
+    case "memory":
+      return require("./memory").createMemoryStorage();
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${name}" (expected dynamodb, file or memory)`
+      );
+  }
+}
+
+const backend = loadBackend(STORAGE_BACKEND);
+
+module.exports = {
+  STORAGE_BACKEND,
+  InvalidCursorError,
+  isExportExpired,
+  isRefreshTokenRevoked,
+  ...backend,
+  ...createTokenOperations(backend),
+};
@@ -0,0 +1,621 @@
+// storage/memory.js - In-memory storage backend (tests, and the base of file.js)
+//
+// Behaves like the DynamoDB backend, including failed conditional writes
+// and which fields each query returns. Everything handed in or out is
+// copied, so callers can't change stored records by accident.
+const { encryptTokens, decryptAuthRecord } = require("../token-encryption");
+const {
+  conditionFailedError,
+  encodeCursor,
+  decodeCursor,
+  buildSyncJob,
+  buildExportJob,
+  isExportExpired,
+  streamChunkPrefix,
+  chunkStreams,
+  joinStreamChunks,
+} = require("./common");
+
+function emptyState() {
+  return {
+    auth: {},
+    activities: {},
+    overrides: {},
+    streams: {},
+    sync_jobs: {},
+    exports: {},
+    export_archives: {},
+  };
+}
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+// Only the listed fields that are set, like a DynamoDB projection
+function pick(item, fields) {
+  return Object.fromEntries(
+    fields.filter((field) => item[field] !== undefined).map((f) => [f, item[f]])
+  );
+}
+
+// Sort key of the start date index
+function compareByStartDate(a, b) {
+  return a.start_date.localeCompare(b.start_date) || a.id - b.id;
+}
+
+// `state` is a plain object (see emptyState) so it can be saved as JSON;
+// onChange is called with it after every write
+function createMemoryStorage({ state = emptyState(), onChange } = {}) {
+  const changed = () => {
+    if (onChange) {
+      onChange(state);
+    }
+  };
+
+  const overrideKey = (athleteId, activityId) =>
+    `${athleteId}:${parseInt(activityId)}`;
+
+  const athleteActivities = (athleteId) =>
+    Object.values(state.activities).filter(
+      (activity) => activity.athlete_id === athleteId.toString()
+    );
+
+  // ========================================
+  // AUTH TOKEN OPERATIONS
+  // ========================================
+
+  async function storeAuthToken(athleteId, tokenData) {
+    const key = athleteId.toString();
+    const now = new Date().toISOString();
+    const record = state.auth[key] || { athlete_id: key, created_at: now };
+
+    const fields = {
+      encrypted_tokens: await encryptTokens(athleteId, tokenData),
+      expires_at: tokenData.expires_at,
+      athlete_info: tokenData.athlete_info,
+      scopes: tokenData.scopes,
+      updated_at: now,
+    };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        record[field] = clone(value);
+      }
+    }
+
+    record.token_version = (record.token_version || 0) + 1;
+    delete record.access_token;
+    delete record.refresh_token;
+    delete record.needs_reauth;
+    delete record.needs_reauth_at;
+
+    state.auth[key] = record;
+    changed();
+    console.log(`Stored auth token for athlete: ${athleteId}`);
+    return true;
+  }
+
+  async function getAuthToken(athleteId) {
+    const record = state.auth[athleteId.toString()];
+    return (await decryptAuthRecord(clone(record))) || null;
+  }
+
+  async function listConnectedAthletes() {
+    return Object.values(state.auth).map((record) =>
+      pick(record, ["athlete_id", "last_synced_at", "needs_reauth"])
+    );
+  }
+
+  async function markNeedsReauth(athleteId) {
+    const record = state.auth[athleteId.toString()];
+    if (!record) {
+      return;
+    }
+
+    record.needs_reauth = true;
+    record.needs_reauth_at = new Date().toISOString();
+    changed();
+    console.log(`Athlete ${athleteId} needs to reauthorize with Strava`);
+  }
+
+  async function deleteAuthToken(athleteId) {
+    const key = athleteId.toString();
+    const existed = !!state.auth[key];
+
+    delete state.auth[key];
+    changed();
+    console.log(`Deleted auth token for athlete: ${athleteId}`);
+    return existed;
+  }
+
+  async function storeRefreshedToken(athleteId, tokenData, expectedVersion) {
+    const record = state.auth[athleteId.toString()];
+
+    if (
+      !record ||
+      (expectedVersion === undefined
+        ? record.token_version !== undefined
+        : record.token_version !== expectedVersion)
+    ) {
+      throw conditionFailedError();
+    }
+
+    record.encrypted_tokens = await encryptTokens(athleteId, tokenData);
+    record.expires_at = tokenData.expires_at;
+    record.updated_at = new Date().toISOString();
+    record.token_version = (expectedVersion || 0) + 1;
+    delete record.access_token;
+    delete record.refresh_token;
+    changed();
+  }
+
+  async function getSyncWatermark(athleteId) {
+    return state.auth[athleteId.toString()]?.last_synced_start_date || null;
+  }
+
+  async function updateSyncWatermark(athleteId, startDate) {
+    const record = state.auth[athleteId.toString()];
+
+    if (
+      !record ||
+      (record.last_synced_start_date &&
+        record.last_synced_start_date >= startDate)
+    ) {
+      return false;
+    }
+
+    record.last_synced_start_date = startDate;
+    changed();
+    console.log(
+      `Advanced sync watermark for athlete ${athleteId} to ${startDate}`
+    );
+    return true;
+  }
+
+  async function getFilterSettings(athleteId) {
+    return clone(state.auth[athleteId.toString()]?.filter_settings) || null;
+  }
+
+  async function storeFilterSettings(athleteId, settings) {
+    const record = state.auth[athleteId.toString()];
+    if (!record) {
+      throw conditionFailedError();
+    }
+
+    record.filter_settings = {
+      ...clone(settings),
+      updated_at: new Date().toISOString(),
+    };
+    changed();
+    console.log(`Stored filter settings for athlete: ${athleteId}`);
+  }
+
+  async function recordSyncCompleted(athleteId) {
+    const record = state.auth[athleteId.toString()];
+    if (record) {
+      record.last_synced_at = new Date().toISOString();
+      changed();
+    }
+  }
+
+  // ========================================
+  // ACTIVITY OPERATIONS
+  // ========================================
+
+  async function storeActivity(activity) {
+    state.activities[activity.id] = {
+      ...clone(activity),
+      stored_at: new Date().toISOString(),
+    };
+    changed();
+    return true;
+  }
+
+  async function storeActivities(activities) {
+    const storedAt = new Date().toISOString();
+
+    for (const activity of activities) {
+      state.activities[activity.id] = {
+        ...clone(activity),
+        stored_at: storedAt,
+      };
+    }
+
+    changed();
+    console.log(`Successfully stored ${activities.length} activities`);
+    return activities.length;
+  }
+
+  async function getActivitiesPage(
+    athleteId,
+    filters = {},
+    { limit, cursor, order = "desc", keep } = {}
+  ) {
+    const after = cursor ? decodeCursor(cursor, athleteId) : null;
+    const direction = order === "asc" ? 1 : -1;
+
+    const matching = athleteActivities(athleteId)
+      .filter(
+        (activity) =>
+          activity.start_date &&
+          ["type", "sport_type"].every(
+            (field) => !filters[field] || activity[field] === filters[field]
+          ) &&
+          (!after || compareByStartDate(activity, after) * direction > 0)
+      )
+      .sort((a, b) => compareByStartDate(a, b) * direction)
+      .filter((activity) => !keep || keep(activity));
+
+    const activities = matching.slice(0, limit).map(clone);
+    const more = activities.length < matching.length;
+
+    return {
+      activities,
+      next_cursor: more
+        ? encodeCursor(activities[activities.length - 1])
+        : null,
+    };
+  }
+
+  async function getActivities(athleteId, filters = {}) {
+    const { activities } = await getActivitiesPage(athleteId, filters);
+    return activities;
+  }
+
+  async function getActivity(activityId) {
+    return clone(state.activities[parseInt(activityId)]) || null;
+  }
+
+  async function deleteActivity(activityId) {
+    const key = parseInt(activityId);
+    const existed = !!state.activities[key];
+
+    delete state.activities[key];
+    changed();
+    return existed;
+  }
+
+  async function activityExists(activityId) {
+    return !!state.activities[parseInt(activityId)];
+  }
+
+  async function findMissingActivityIds(activityIds) {
+    const uniqueIds = [...new Set(activityIds.map((id) => parseInt(id)))];
+    return uniqueIds.filter((id) => !state.activities[id]);
+  }
+
+  async function getActivityCount(athleteId) {
+    return athleteActivities(athleteId).length;
+  }
+
+  async function getAllActivities(athleteId) {
+    return athleteActivities(athleteId).map(clone);
+  }
+
+  async function getActivityFingerprints(athleteId) {
+    return athleteActivities(athleteId).map((activity) =>
+      pick(activity, ["id", "fingerprint", "start_date"])
+    );
+  }
+
+  async function getActivityTypes(athleteId) {
+    return athleteActivities(athleteId).map((activity) =>
+      pick(activity, ["sport_type", "type"])
+    );
+  }
+
+  async function deleteActivities(activityIds) {
+    for (const id of activityIds) {
+      delete state.activities[parseInt(id)];
+    }
+
+    changed();
+    return activityIds.length;
+  }
+
+  async function deleteAllActivities(athleteId) {
+    const ids = athleteActivities(athleteId).map((activity) => activity.id);
+
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const totalDeleted = await deleteActivities(ids);
+    console.log(`Successfully deleted ${totalDeleted} activities`);
+    return totalDeleted;
+  }
+
+  // ========================================
+  // ACTIVITY OVERRIDE OPERATIONS
+  // ========================================
+
+  async function getActivityOverrides(athleteId, activityId) {
+    return clone(state.overrides[overrideKey(athleteId, activityId)]) || null;
+  }
+
+  async function listActivityOverrides(athleteId) {
+    return new Map(
+      Object.values(state.overrides)
+        .filter((item) => item.athlete_id === athleteId.toString())
+        .map((item) => [item.activity_id, clone(item)])
+    );
+  }
+
+  async function updateActivityOverrides(athleteId, activityId, changes) {
+    const key = overrideKey(athleteId, activityId);
+    const item = state.overrides[key] || {
+      athlete_id: athleteId.toString(),
+      activity_id: parseInt(activityId),
+    };
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete item[field];
+      } else {
+        item[field] = clone(value);
+      }
+    }
+    item.updated_at = new Date().toISOString();
+
+    state.overrides[key] = item;
+    changed();
+    console.log(
+      `Updated overrides for activity ${activityId} (athlete ${athleteId})`
+    );
+    return clone(item);
+  }
+
+  async function deleteAllActivityOverrides(athleteId) {
+    const keys = Object.keys(state.overrides).filter(
+      (key) => state.overrides[key].athlete_id === athleteId.toString()
+    );
+
+    for (const key of keys) {
+      delete state.overrides[key];
+    }
+
+    changed();
+    return keys.length;
+  }
+
+  // ========================================
+  // ACTIVITY STREAM OPERATIONS
+  // ========================================
+
+  // Stream chunks keyed by chunk_id, for one athlete
+  const athleteStreams = (athleteId) => {
+    const key = athleteId.toString();
+    state.streams[key] = state.streams[key] || {};
+    return state.streams[key];
+  };
+
+  const streamChunkIds = (athleteId, activityId) =>
+    Object.keys(athleteStreams(athleteId)).filter((chunkId) =>
+      chunkId.startsWith(streamChunkPrefix(activityId))
+    );
+
+  async function getActivityStreams(athleteId, activityId) {
+    const chunks = athleteStreams(athleteId);
+    return joinStreamChunks(
+      streamChunkIds(athleteId, activityId).map((chunkId) =>
+        clone(chunks[chunkId])
+      )
+    );
+  }
+
+  async function storeActivityStreams(athleteId, activityId, record) {
+    const chunks = athleteStreams(athleteId);
+
+    for (const chunkId of streamChunkIds(athleteId, activityId)) {
+      delete chunks[chunkId];
+    }
+    for (const chunk of chunkStreams(athleteId, activityId, clone(record))) {
+      chunks[chunk.chunk_id] = chunk;
+    }
+
+    changed();
+    console.log(`Stored streams for activity ${activityId}`);
+  }
+
+  async function deleteActivityStreams(athleteId, activityIds) {
+    const chunks = athleteStreams(athleteId);
+    let deleted = 0;
+
+    for (const activityId of activityIds) {
+      const chunkIds = streamChunkIds(athleteId, activityId);
+
+      for (const chunkId of chunkIds) {
+        delete chunks[chunkId];
+      }
+      if (chunkIds.length > 0) {
+        deleted++;
+      }
+    }
+
+    changed();
+    return deleted;
+  }
+
+  async function deleteAllActivityStreams(athleteId) {
+    const activityIds = new Set(
+      Object.values(athleteStreams(athleteId)).map((chunk) => chunk.activity_id)
+    );
+
+    delete state.streams[athleteId.toString()];
+    changed();
+    return activityIds.size;
+  }
+
+  // ========================================
+  // SYNC JOB OPERATIONS
+  // ========================================
+
+  async function createSyncJob(athleteId, options) {
+    const job = buildSyncJob(athleteId, options);
+
+    state.sync_jobs[job.athlete_id] = state.sync_jobs[job.athlete_id] || {};
+    state.sync_jobs[job.athlete_id][job.job_id] = clone(job);
+    changed();
+    console.log(
+      `Created ${job.type} sync job ${job.job_id} for athlete: ${athleteId}`
+    );
+    return job;
+  }
+
+  async function updateSyncJob(athleteId, jobId, updates) {
+    const key = athleteId.toString();
+    state.sync_jobs[key] = state.sync_jobs[key] || {};
+
+    const job = state.sync_jobs[key][jobId] || {
+      athlete_id: key,
+      job_id: jobId,
+    };
+    for (const [field, value] of Object.entries(updates)) {
+      if (value !== undefined) {
+        job[field] = clone(value);
+      }
+    }
+    job.updated_at = new Date().toISOString();
+
+    state.sync_jobs[key][jobId] = job;
+    changed();
+    return clone(job);
+  }
+
+  async function getSyncJob(athleteId, jobId) {
+    return clone(state.sync_jobs[athleteId.toString()]?.[jobId]) || null;
+  }
+
+  async function getSyncJobs(athleteId, limit = 10) {
+    return Object.values(state.sync_jobs[athleteId.toString()] || {})
+      .sort((a, b) => b.job_id.localeCompare(a.job_id))
+      .slice(0, limit)
+      .map(clone);
+  }
+
+  // ========================================
+  // ACCOUNT EXPORT OPERATIONS
+  // ========================================
+
+  async function createExportJob(athleteId) {
+    const job = buildExportJob(athleteId);
+
+    state.exports[job.athlete_id] = state.exports[job.athlete_id] || {};
+    state.exports[job.athlete_id][job.job_id] = clone(job);
+    changed();
+    console.log(`Created export job ${job.job_id} for athlete: ${athleteId}`);
+    return job;
+  }
+
+  async function updateExportJob(athleteId, jobId, updates) {
+    const job = state.exports[athleteId.toString()]?.[jobId];
+    if (!job) {
+      throw conditionFailedError();
+    }
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (value !== undefined) {
+        job[field] = clone(value);
+      }
+    }
+
+    changed();
+    return clone(job);
+  }
+
+  async function getExportJob(athleteId, jobId) {
+    return clone(state.exports[athleteId.toString()]?.[jobId]) || null;
+  }
+
+  // Archives are kept base64-encoded, so the state stays JSON
+  async function storeExportArchive(athleteId, jobId, archive, expiresAt) {
+    const key = athleteId.toString();
+
+    state.export_archives[key] = state.export_archives[key] || {};
+    state.export_archives[key][jobId] = {
+      data: archive.toString("base64"),
+      expires_at: expiresAt,
+    };
+    changed();
+  }
+
+  // No presigned URLs here, so the archive itself is returned to be sent
+  async function getExportDownload(athleteId, jobId) {
+    const stored = state.export_archives[athleteId.toString()]?.[jobId];
+
+    if (!stored || isExportExpired(stored.expires_at)) {
+      return null;
+    }
+    return { archive: Buffer.from(stored.data, "base64") };
+  }
+
+  async function deleteAllAccountExports(athleteId) {
+    const key = athleteId.toString();
+    const jobCount = Object.keys(state.exports[key] || {}).length;
+
+    delete state.exports[key];
+    delete state.export_archives[key];
+    changed();
+    return jobCount;
+  }
+
+  return {
+    // Auth operations
+    storeAuthToken,
+    getAuthToken,
+    deleteAuthToken,
+    listConnectedAthletes,
+    markNeedsReauth,
+    storeRefreshedToken,
+    getSyncWatermark,
+    updateSyncWatermark,
+    recordSyncCompleted,
+    getFilterSettings,
+    storeFilterSettings,
+
+    // Activity operations
+    storeActivity,
+    storeActivities,
+    getActivities,
+    getAllActivities,
+    getActivitiesPage,
+    getActivity,
+    deleteActivity,
+    activityExists,
+    findMissingActivityIds,
+    getActivityCount,
+    getActivityFingerprints,
+    getActivityTypes,
+    deleteActivities,
+    deleteAllActivities,
+
+    // Activity override operations
+    getActivityOverrides,
+    listActivityOverrides,
+    updateActivityOverrides,
+    deleteAllActivityOverrides,
+
+    // Activity stream operations
+    getActivityStreams,
+    storeActivityStreams,
+    deleteActivityStreams,
+    deleteAllActivityStreams,
+
+    // Sync job operations
+    createSyncJob,
+    updateSyncJob,
+    getSyncJob,
+    getSyncJobs,
+
+    // Account export operations
+    createExportJob,
+    updateExportJob,
+    getExportJob,
+    storeExportArchive,
+    getExportDownload,
+    deleteAllAccountExports,
+  };
+}
+
+module.exports = {
+  emptyState,
+  createMemoryStorage,
+};
@@ -0,0 +1,114 @@
+// storage/tokens.js - Strava token refresh on top of the configured storage
+const axios = require("axios");
+
+// Strava rejected the refresh token itself (access revoked), as opposed to
+// e.g. our client credentials being wrong
+function isRefreshTokenRevoked(error) {
+  return (
+    error.response?.status === 400 &&
+    !!error.response.data?.errors?.some(
+      (detail) => detail.resource === "RefreshToken"
+    )
+  );
+}
+
+// Check if token is expired (with 5 minute buffer)
+function isTokenExpiring(authData) {
+  const now = Math.floor(Date.now() / 1000);
+  return !!authData.expires_at && now + 300 >= authData.expires_at;
+}
+
+// Token operations using `storage`'s getAuthToken, storeRefreshedToken and
+// markNeedsReauth
+function createTokenOperations(storage) {
+  // Refresh access token using refresh token. If another Lambda instance
+  // refreshed first, its stored token is returned instead of ours.
+  async function refreshAccessToken(athleteId, authData) {
+    try {
+      console.log(`Refreshing access token for athlete: ${athleteId}`);
+
+      const response = await axios.post("https://www.strava.com/oauth/token", {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        grant_type: "refresh_token",
+        refresh_token: authData.refresh_token,
+      });
+
+      const tokenData = response.data;
+
+      // Store the refreshed token
+      await storage.storeRefreshedToken(
+        athleteId,
+        tokenData,
+        authData.token_version
+      );
+
+      console.log(`Successfully refreshed token for athlete: ${athleteId}`);
+      return tokenData;
+    } catch (error) {
+      // Lost the race (our write was rejected, or Strava refused a refresh
+      // token that had just been rotated): use the winner's token
+      if (
+        error.name === "ConditionalCheckFailedException" ||
+        error.response?.status === 400
+      ) {
+        const current = await storage.getAuthToken(athleteId);
+
+        if (
+          current &&
+          current.token_version !== authData.token_version &&
+          !isTokenExpiring(current)
+        ) {
+          console.log(`Token for athlete ${athleteId} was refreshed elsewhere`);
+          return current;
+        }
+      }
+
+      if (isRefreshTokenRevoked(error)) {
+        await storage.markNeedsReauth(athleteId);
+      }
+
+      console.error("Error refreshing access token:", error);
+      throw error;
+    }
+  }
+
+  // Refreshes in progress in this process, keyed by athlete ID
+  const refreshesInFlight = new Map();
+
+  // Get valid access token (refresh if expired). Concurrent callers for the
+  // same athlete share a single refresh.
+  async function getValidAccessToken(athleteId) {
+    const authData = await storage.getAuthToken(athleteId);
+
+    if (!authData) {
+      throw new Error("No authentication data found");
+    }
+
+    if (!isTokenExpiring(authData)) {
+      return authData.access_token;
+    }
+
+    const key = athleteId.toString();
+
+    if (!refreshesInFlight.has(key)) {
+      console.log("Access token expired, refreshing...");
+      refreshesInFlight.set(
+        key,
+        refreshAccessToken(athleteId, authData).finally(() =>
+          refreshesInFlight.delete(key)
+        )
+      );
+    }
+
+    const refreshedTokens = await refreshesInFlight.get(key);
+    return refreshedTokens.access_token;
+  }
+
+  return { refreshAccessToken, getValidAccessToken };
+}
+
+module.exports = {
+  isRefreshTokenRevoked,
+  createTokenOperations,
+};
@@ -0,0 +1,201 @@
+// strava-client.js - Shared Strava API client with rate-limit budgeting
+//
+// Strava reports application-wide usage on every response:
+//   X-RateLimit-Limit: "<15 minute limit>,<daily limit>"
+//   X-RateLimit-Usage: "<15 minute usage>,<daily usage>"
+// (plus X-ReadRateLimit-* for the tighter read-only budget). We track the
+// latest values and hold background work back before the limits are hit,
+// leaving headroom for interactive requests.
+const axios = require("axios");
+
+const STRAVA_API_BASE = "https://www.strava.com/api/v3";
+
+// Fraction of each budget a priority may use before it has to wait
+const BUDGET_THRESHOLDS = {
+  interactive: 0.98,
+  background: parseFloat(process.env.STRAVA_BACKGROUND_BUDGET) || 0.8,
+};
+
+// Longest a background request will sleep for the next window before
+// giving up (the sync worker has a 15 minute timeout)
+const MAX_BACKGROUND_WAIT_MS = 5 * 60 * 1000;
+
+const budgets = {
+  overall: { short_term: null, daily: null },
+  read: { short_term: null, daily: null },
+};
+let budgetUpdatedAt = null;
+
+class StravaRateLimitError extends Error {
+  constructor(retryAt) {
+    super(`Strava rate limit reached, retry after ${retryAt.toISOString()}`);
+    this.name = "StravaRateLimitError";
+    this.retryAt = retryAt;
+  }
+}
+
+// ========================================
+// BUDGET TRACKING
+// ========================================
+
+// 15 minute windows reset on the quarter hour, daily at midnight UTC
+function nextShortTermReset(now = new Date()) {
+  const reset = new Date(now);
+  reset.setUTCMinutes(Math.floor(now.getUTCMinutes() / 15) * 15 + 15, 0, 0);
+  return reset;
+}
+
+function nextDailyReset(now = new Date()) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+function parsePair(header) {
+  if (!header) {
+    return null;
+  }
+
+  const [shortTerm, daily] = header.split(",").map((n) => parseInt(n, 10));
+  return { shortTerm, daily };
+}
+
+function recordUsage(headers = {}) {
+  const now = new Date();
+
+  for (const [budget, prefix] of [
+    ["overall", "x-ratelimit"],
+    ["read", "x-readratelimit"],
+  ]) {
+    const limit = parsePair(headers[`${prefix}-limit`]);
+    const usage = parsePair(headers[`${prefix}-usage`]);
+
+    if (!limit || !usage) {
+      continue;
+    }
+
+    budgets[budget] = {
+      short_term: {
+        usage: usage.shortTerm,
+        limit: limit.shortTerm,
+        resets_at: nextShortTermReset(now),
+      },
+      daily: {
+        usage: usage.daily,
+        limit: limit.daily,
+        resets_at: nextDailyReset(now),
+      },
+    };
+    budgetUpdatedAt = now;
+  }
+}
+
+// When the given priority may next make a request (null = now)
+function nextAllowedAt(priority) {
+  const threshold = BUDGET_THRESHOLDS[priority];
+  const now = new Date();
+  let allowedAt = null;
+
+  for (const budget of Object.values(budgets)) {
+    for (const window of [budget.short_term, budget.daily]) {
+      // Usage from a window that has since reset no longer counts
+      if (!window || window.resets_at <= now) {
+        continue;
+      }
+
+      if (window.usage >= window.limit * threshold) {
+        if (!allowedAt || window.resets_at > allowedAt) {
+          allowedAt = window.resets_at;
+        }
+      }
+    }
+  }
+
+  return allowedAt;
+}
+
+// Pause until the budget allows this request, or defer if that's too far off
+async function waitForBudget(priority) {
+  const allowedAt = nextAllowedAt(priority);
+
+  if (!allowedAt) {
+    return;
+  }
+
+  const waitMs = allowedAt.getTime() - Date.now();
+
+  if (priority === "interactive" || waitMs > MAX_BACKGROUND_WAIT_MS) {
+    throw new StravaRateLimitError(allowedAt);
+  }
+
+  console.log(
+    `Strava budget nearly used, pausing background work for ${Math.ceil(
+      waitMs / 1000
+    )}s`
+  );
+  await new Promise((resolve) => setTimeout(resolve, waitMs));
+}
+
+// Whether the given priority could make a request right now
+function hasBudget(priority = "background") {
+  return !nextAllowedAt(priority);
+}
+
+// Current budget usage, for the health check
+function getRateLimitStatus() {
+  return {
+    ...budgets,
+    thresholds: BUDGET_THRESHOLDS,
+    updated_at: budgetUpdatedAt,
+  };
+}
+
+// ========================================
+// REQUESTS
+// ========================================
+
+// GET a Strava API path. priority is "interactive" for requests a user is
+// waiting on, "background" for sync and webhook work.
+async function stravaGet(
+  path,
+  accessToken,
+  { params, priority = "background" } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget(priority);
+
+    try {
+      const response = await axios.get(`${STRAVA_API_BASE}${path}`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+        params,
+      });
+
+      recordUsage(response.headers);
+      return response.data;
+    } catch (error) {
+      recordUsage(error.response?.headers);
+
+      // Over the limit anyway (e.g. another instance used the budget):
+      // the recorded usage makes the next attempt wait for the window
+      if (error.response?.status === 429 && attempt === 0) {
+        console.warn(`Strava returned 429 for ${path}`);
+        if (!nextAllowedAt(priority)) {
+          throw new StravaRateLimitError(nextShortTermReset());
+        }
+        continue;
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  STRAVA_API_BASE,
+  StravaRateLimitError,
+  stravaGet,
+  hasBudget,
+  getRateLimitStatus,
+};
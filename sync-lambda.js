@@ -0,0 +1,8 @@
+// sync-lambda.js - AWS Lambda handler for the background sync worker
+const { runTask } = require("./sync-queue");
+
+// Invoked asynchronously by the API function with a task payload
+module.exports.handler = async (event) => {
+  console.log(`Sync worker received ${event.type} task`);
+  await runTask(event);
+};
@@ -0,0 +1,143 @@
+// sync-queue.js - Hands background work to the sync worker (sync-lambda.js)
+//
+// On Lambda the API function invokes the syncActivities function
+// asynchronously, so the work isn't frozen once the HTTP response is sent.
+// Locally (server.js, serverless offline) the same tasks run in-process.
+const { LambdaClient, InvokeCommand } = require("@aws-sdk/client-lambda");
+
+const {
+  getAuthToken,
+  getValidAccessToken,
+  updateSyncJob,
+} = require("./storage");
+const { canReadPrivateActivities } = require("./auth");
+const { performBackgroundSync } = require("./sync");
+const { handleWebhookEvent } = require("./webhooks");
+const { runExportTask } = require("./account-export");
+
+let lambdaClient;
+
+// Use the worker function only when deployed; serverless offline sets
+// IS_OFFLINE and runs everything in one long-lived process
+function useWorkerFunction() {
+  return (
+    !!process.env.SYNC_WORKER_FUNCTION &&
+    !!process.env.AWS_LAMBDA_FUNCTION_NAME &&
+    !process.env.IS_OFFLINE
+  );
+}
+
+// ========================================
+// TASK RUNNERS
+// ========================================
+
+// Run a sync job to completion
+async function runSyncTask({
+  athlete_id,
+  job_id,
+  full_sync,
+  reconcile,
+  range,
+}) {
+  let accessToken;
+  let authData;
+
+  try {
+    accessToken = await getValidAccessToken(athlete_id);
+    authData = await getAuthToken(athlete_id);
+  } catch (error) {
+    console.error(`Sync job ${job_id} could not authenticate:`, error.message);
+    await updateSyncJob(athlete_id, job_id, {
+      state: "failed",
+      error_message: error.message,
+      finished_at: new Date().toISOString(),
+    });
+    return;
+  }
+
+  await performBackgroundSync(athlete_id, accessToken, full_sync, {
+    privateActivities: canReadPrivateActivities(authData),
+    jobId: job_id,
+    reconcile,
+    range,
+  });
+}
+
+// Run a queued task (called by the worker, or in-process locally)
+async function runTask(task) {
+  switch (task.type) {
+    case "sync":
+      return runSyncTask(task);
+    case "webhook":
+      return handleWebhookEvent(task.event);
+    case "export":
+      return runExportTask(task);
+    default:
+      throw new Error(`Unknown task type: ${task.type}`);
+  }
+}
+
+// ========================================
+// DISPATCH
+// ========================================
+
+async function enqueueTask(task) {
+  if (!useWorkerFunction()) {
+    // Local stand-in: run after the current request finishes
+    setImmediate(() => {
+      runTask(task).catch((error) => {
+        console.error(`❌ Local ${task.type} task failed:`, error);
+      });
+    });
+    return;
+  }
+
+  lambdaClient =
+    lambdaClient ||
+    new LambdaClient({ region: process.env.AWS_REGION || "us-east-1" });
+
+  await lambdaClient.send(
+    new InvokeCommand({
+      FunctionName: process.env.SYNC_WORKER_FUNCTION,
+      InvocationType: "Event",
+      Payload: JSON.stringify(task),
+    })
+  );
+}
+
+// Queue a sync job created with createSyncJob
+async function enqueueSync({
+  athlete_id,
+  job_id,
+  full_sync,
+  reconcile,
+  range,
+}) {
+  await enqueueTask({
+    type: "sync",
+    athlete_id,
+    job_id,
+    full_sync,
+    reconcile,
+    range,
+  });
+  console.log(`Queued sync job ${job_id} for athlete: ${athlete_id}`);
+}
+
+// Queue a Strava push event
+async function enqueueWebhookEvent(event) {
+  await enqueueTask({ type: "webhook", event });
+}
+
+// Queue an account export job created with createExportJob
+async function enqueueExport({ athlete_id, job_id }) {
+  await enqueueTask({ type: "export", athlete_id, job_id });
+  console.log(`Queued export job ${job_id} for athlete: ${athlete_id}`);
+}
+
+module.exports = {
+  runTask,
+  enqueueSync,
+  enqueueWebhookEvent,
+  enqueueExport,
+};
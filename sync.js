@@ -0,0 +1,922 @@
+// sync.js - Strava activity sync shared by server.js and lambda.js
+const crypto = require("crypto");
+const {
+  storeActivities,
+  getActivity,
+  findMissingActivityIds,
+  getActivityCount,
+  getActivityFingerprints,
+  createSyncJob,
+  deleteActivities,
+  updateSyncJob,
+  getSyncJobs,
+  getSyncWatermark,
+  updateSyncWatermark,
+  recordSyncCompleted,
+  deleteActivityStreams,
+} = require("./storage");
+const { getCountryFromCoordinates } = require("./geocoding");
+const {
+  DEFAULT_FILTER_RULES,
+  findExcludingRule,
+  getActivityFilters,
+} = require("./activity-filters");
+const { getSportType } = require("./activity-types");
+const { extractMetrics } = require("./activity-metrics");
+const { stravaGet, StravaRateLimitError } = require("./strava-client");
+const { prefetchActivityStreams } = require("./activity-streams");
+const {
+  DEFAULT_PRECISION,
+  encodePolyline,
+  decodePolyline,
+} = require("./polyline");
+
+// A queued/running job with no progress for this long is assumed dead
+const STALE_SYNC_JOB_MS = 15 * 60 * 1000;
+
+// Fetch streams for new activities during sync, budget permitting (see
+// activity-streams.js); otherwise they're fetched when first viewed
+const SYNC_ACTIVITY_STREAMS = process.env.SYNC_ACTIVITY_STREAMS === "true";
+
+// Most activities a targeted resync will fetch one by one
+const MAX_TARGETED_ACTIVITIES = 100;
+
+// Attempts per activity list page before the run fails (and can resume)
+const MAX_PAGE_ATTEMPTS = 4;
+
+// Filtered activities listed individually on a sync job (all are counted)
+const MAX_REPORTED_FILTERED = 100;
+
+class SyncOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SyncOptionsError";
+  }
+}
+
+// ========================================
+// SYNC OPTIONS
+// ========================================
+
+// Epoch seconds from an epoch timestamp or a date string
+function parseEpochSeconds(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+
+  const seconds = /^\d+$/.test(value.toString())
+    ? Number(value)
+    : Math.floor(new Date(value).getTime() / 1000);
+
+  if (!Number.isFinite(seconds)) {
+    throw new SyncOptionsError(
+      `${field} must be an epoch timestamp or ISO date`
+    );
+  }
+
+  return seconds;
+}
+
+// Validate the optional slice of a sync request: `after`/`before` (epoch
+// seconds or ISO dates) or a list of `activity_ids`. Returns epoch seconds
+// and numeric IDs, or throws SyncOptionsError.
+function parseSyncRange({ after, before, activity_ids } = {}) {
+  const range = {
+    after: parseEpochSeconds(after, "after"),
+    before: parseEpochSeconds(before, "before"),
+  };
+
+  if (
+    range.after !== undefined &&
+    range.before !== undefined &&
+    range.after >= range.before
+  ) {
+    throw new SyncOptionsError("after must be earlier than before");
+  }
+
+  if (activity_ids !== undefined) {
+    if (
+      !Array.isArray(activity_ids) ||
+      activity_ids.length === 0 ||
+      activity_ids.length > MAX_TARGETED_ACTIVITIES
+    ) {
+      throw new SyncOptionsError(
+        `activity_ids must be a list of 1-${MAX_TARGETED_ACTIVITIES} activity IDs`
+      );
+    }
+    if (range.after !== undefined || range.before !== undefined) {
+      throw new SyncOptionsError(
+        "activity_ids can't be combined with after/before"
+      );
+    }
+    if (!activity_ids.every((id) => /^\d+$/.test(id.toString()))) {
+      throw new SyncOptionsError("activity_ids must be numeric");
+    }
+
+    range.activity_ids = [...new Set(activity_ids.map(Number))];
+  }
+
+  return range;
+}
+
+// Readable form of a parsed range, recorded on the sync job
+function describeSyncRange({ after, before, activity_ids } = {}) {
+  if (after === undefined && before === undefined && !activity_ids) {
+    return null;
+  }
+
+  return {
+    after: after !== undefined ? new Date(after * 1000).toISOString() : null,
+    before: before !== undefined ? new Date(before * 1000).toISOString() : null,
+    activity_ids: activity_ids || null,
+  };
+}
+
+// Sync job type for a request's options
+function getSyncType({ full_sync = false, reconcile = false, range = {} }) {
+  if (range.activity_ids) {
+    return "targeted";
+  }
+  if (reconcile) {
+    return "reconcile";
+  }
+  return full_sync ? "full" : "incremental";
+}
+
+// Is a Strava start_date inside the after/before window?
+function isInRange(startDate, { after, before } = {}) {
+  const seconds = new Date(startDate).getTime() / 1000;
+
+  return (
+    (after === undefined || seconds > after) &&
+    (before === undefined || seconds < before)
+  );
+}
+
+// ========================================
+// BACKGROUND SYNC
+// ========================================
+
+// Latest queued or running sync job for an athlete, if it's still alive
+async function findActiveSyncJob(athlete_id) {
+  const [latestJob] = await getSyncJobs(athlete_id, 1);
+
+  if (!latestJob || !["queued", "running"].includes(latestJob.state)) {
+    return null;
+  }
+
+  const idleMs = Date.now() - new Date(latestJob.updated_at).getTime();
+  return idleMs < STALE_SYNC_JOB_MS ? latestJob : null;
+}
+
+// Latest sync job that died partway through with a checkpoint we can pick
+// up from. Only resumed by a request for the same type and range.
+async function findResumableSyncJob(athlete_id, { type, range = null }) {
+  const [latestJob] = await getSyncJobs(athlete_id, 1);
+
+  if (!latestJob?.checkpoint || latestJob.state === "succeeded") {
+    return null;
+  }
+
+  const sameRange =
+    (latestJob.range?.after ?? null) === (range?.after ?? null) &&
+    (latestJob.range?.before ?? null) === (range?.before ?? null);
+
+  return latestJob.type === type && sameRange ? latestJob : null;
+}
+
+// Create the job for a sync request, picking up where an interrupted sync
+// of the same kind left off
+async function createSyncJobFor(athlete_id, { full_sync, reconcile, range }) {
+  const type = getSyncType({ full_sync, reconcile, range });
+  const rangeDescription = describeSyncRange(range);
+  const resumableJob = await findResumableSyncJob(athlete_id, {
+    type,
+    range: rangeDescription,
+  });
+
+  // Still marked running, but it stopped responding long ago
+  if (resumableJob && resumableJob.state !== "failed") {
+    await updateSyncJob(athlete_id, resumableJob.job_id, {
+      state: "failed",
+      error_message: "Sync stopped responding",
+      finished_at: new Date().toISOString(),
+    });
+  }
+
+  return createSyncJob(athlete_id, {
+    type,
+    range: rangeDescription,
+    resumeFrom: resumableJob,
+  });
+}
+
+// Background sync function. Progress and the outcome are recorded on the
+// sync job created by the caller, and the final state is returned.
+// `range` comes from parseSyncRange. Full and incremental syncs checkpoint
+// after every page, and a job created from a resumable one carries on
+// from its checkpoint.
+async function performBackgroundSync(
+  athlete_id,
+  accessToken,
+  full_sync,
+  { privateActivities = true, jobId, reconcile = false, range = {} } = {}
+) {
+  const progress = {
+    pages_fetched: 0,
+    activities_stored: 0,
+    activities_skipped: 0,
+    streams_fetched: 0,
+    filtered_by_rule: {},
+    filtered_activities: [],
+  };
+  const recordProgress = () => updateSyncJob(athlete_id, jobId, progress);
+
+  // Report which rule excluded each filtered activity
+  const onSkip = (activity, ruleId) => {
+    progress.filtered_by_rule[ruleId] =
+      (progress.filtered_by_rule[ruleId] || 0) + 1;
+
+    if (progress.filtered_activities.length < MAX_REPORTED_FILTERED) {
+      progress.filtered_activities.push({
+        id: activity.id,
+        name: activity.name,
+        rule: ruleId,
+      });
+    }
+  };
+
+  try {
+    const job = await updateSyncJob(athlete_id, jobId, {
+      state: "running",
+      started_at: new Date().toISOString(),
+    });
+
+    const mode = getSyncType({ full_sync, reconcile, range });
+
+    console.log(`Starting background ${mode} sync for athlete: ${athlete_id}`);
+
+    const description = describeSyncRange(range);
+    if (description) {
+      console.log("Limited to:", description);
+    }
+
+    if (!privateActivities) {
+      console.log(
+        "activity:read_all not granted - only non-private activities will sync"
+      );
+    }
+
+    const filters = await getActivityFilters(athlete_id);
+
+    if (range.activity_ids) {
+      await resyncActivities(athlete_id, accessToken, progress, {
+        activityIds: range.activity_ids,
+        privateActivities,
+        filters,
+        onSkip,
+        recordProgress,
+      });
+    } else if (reconcile) {
+      await reconcileActivities(athlete_id, accessToken, progress, {
+        range,
+        privateActivities,
+        filters,
+        onSkip,
+        recordProgress,
+      });
+    } else {
+      // Counts carry over from the interrupted job
+      if (job.checkpoint) {
+        progress.pages_fetched = job.pages_fetched;
+        progress.activities_stored = job.activities_stored;
+        progress.activities_skipped = job.activities_skipped;
+        progress.streams_fetched = job.streams_fetched || 0;
+        progress.filtered_by_rule = job.filtered_by_rule || {};
+        progress.filtered_activities = job.filtered_activities || [];
+      }
+
+      await importActivities(athlete_id, accessToken, full_sync, progress, {
+        range,
+        checkpoint: job.checkpoint,
+        filters,
+        onSkip,
+        recordProgress,
+      });
+    }
+
+    // Only a sync over everything leaves the athlete up to date
+    if (!description) {
+      await recordSyncCompleted(athlete_id);
+    }
+
+    const totalActivities = await getActivityCount(athlete_id);
+
+    await updateSyncJob(athlete_id, jobId, {
+      ...progress,
+      state: "succeeded",
+      finished_at: new Date().toISOString(),
+    });
+
+    console.log(`🎉 Background sync complete for athlete ${athlete_id}:`);
+    if (mode === "reconcile" || mode === "targeted") {
+      console.log(`   - Added: ${progress.activities_added}`);
+      console.log(`   - Updated: ${progress.activities_updated}`);
+      console.log(`   - Deleted: ${progress.activities_deleted}`);
+    } else {
+      console.log(`   - New activities: ${progress.activities_stored}`);
+      console.log(`   - Skipped: ${progress.activities_skipped}`);
+    }
+    if (SYNC_ACTIVITY_STREAMS) {
+      console.log(`   - Streams fetched: ${progress.streams_fetched}`);
+    }
+    console.log("   - Filtered by rule:", progress.filtered_by_rule);
+    console.log(`   - Total activities: ${totalActivities}`);
+    return "succeeded";
+  } catch (error) {
+    console.error(
+      `❌ Background sync failed for athlete ${athlete_id}:`,
+      error
+    );
+
+    try {
+      await updateSyncJob(athlete_id, jobId, {
+        ...progress,
+        state: "failed",
+        error_message: error.response?.data?.message || error.message,
+        retry_after: error.retryAt?.toISOString(),
+        finished_at: new Date().toISOString(),
+      });
+    } catch (jobError) {
+      console.error("Failed to record sync failure:", jobError);
+    }
+    return "failed";
+  }
+}
+
+// Full or incremental import: store activities we don't have yet (full
+// syncs overwrite existing ones). Each page is stored before the
+// checkpoint moves past it.
+async function importActivities(
+  athlete_id,
+  accessToken,
+  full_sync,
+  progress,
+  { range = {}, checkpoint, filters, onSkip, recordProgress }
+) {
+  // An explicit window replaces the watermark, and leaves it alone
+  const ranged = range.after !== undefined || range.before !== undefined;
+
+  let after;
+  let before;
+  let watermark;
+  let newestStartDate;
+  let startPage = 1;
+
+  if (checkpoint) {
+    // Keep the original window, or the pages won't line up
+    after = checkpoint.after ?? undefined;
+    before = checkpoint.before ?? undefined;
+    watermark = checkpoint.watermark;
+    newestStartDate = checkpoint.newest_start_date;
+    startPage = checkpoint.page + 1;
+
+    console.log(`Resuming from page ${startPage}`);
+  } else {
+    // Incremental syncs only ask Strava for activities that started after
+    // the newest one we've already synced
+    watermark = full_sync || ranged ? null : await getSyncWatermark(athlete_id);
+    newestStartDate = watermark;
+    after = ranged
+      ? range.after
+      : watermark
+      ? Math.floor(new Date(watermark).getTime() / 1000)
+      : undefined;
+    before = range.before;
+
+    if (watermark) {
+      console.log(`Fetching activities started after ${watermark}`);
+    }
+  }
+
+  if (!full_sync) {
+    console.log("Performing incremental sync - checking for duplicates");
+  }
+
+  await fetchStravaActivities(accessToken, {
+    after,
+    before,
+    startPage,
+    filters,
+    onSkip,
+    onPage: async ({ page, activities, processed }) => {
+      let activitiesToStore = processed;
+
+      if (!full_sync) {
+        const missingIds = new Set(
+          await findMissingActivityIds(processed.map((a) => a.id))
+        );
+        activitiesToStore = processed.filter((a) => missingIds.has(a.id));
+      }
+
+      const storedCount =
+        activitiesToStore.length > 0
+          ? await storeActivities(
+              activitiesToStore.map((activity) => ({
+                ...activity,
+                athlete_id: athlete_id.toString(),
+              }))
+            )
+          : 0;
+
+      if (SYNC_ACTIVITY_STREAMS && activitiesToStore.length > 0) {
+        progress.streams_fetched += await prefetchActivityStreams(
+          athlete_id,
+          accessToken,
+          activitiesToStore.map((activity) => activity.id)
+        );
+      }
+
+      // Track every fetched activity, including filtered ones, so they
+      // aren't fetched again next time
+      newestStartDate = newestStartDateOf(activities, newestStartDate);
+
+      progress.pages_fetched++;
+      progress.activities_stored += storedCount;
+      progress.activities_skipped += activities.length - storedCount;
+      progress.checkpoint = {
+        page,
+        after: after ?? null,
+        before: before ?? null,
+        watermark: watermark ?? null,
+        newest_start_date: newestStartDate ?? null,
+      };
+
+      await recordProgress();
+    },
+  });
+
+  // Only advance the watermark once everything up to it is stored
+  if (!ranged && newestStartDate && newestStartDate !== watermark) {
+    await updateSyncWatermark(athlete_id, newestStartDate);
+  }
+}
+
+// Reconcile: compare every stored activity with Strava's current list
+// (or just those inside the after/before window). Changed activities (by
+// fingerprint) are rewritten, and stored activities that are gone
+// upstream, or no longer pass our filters, are deleted. Without
+// activity:read_all the list leaves out private activities, so missing
+// ones are kept: we can't tell deleted from private.
+//
+// Not checkpointed: deletions need the complete list, and pages stored
+// by an interrupted run match their fingerprints, so a rerun is cheap.
+async function reconcileActivities(
+  athlete_id,
+  accessToken,
+  progress,
+  { range = {}, privateActivities = true, filters, onSkip, recordProgress }
+) {
+  const ranged = range.after !== undefined || range.before !== undefined;
+
+  Object.assign(progress, {
+    activities_added: 0,
+    activities_updated: 0,
+    activities_deleted: 0,
+    activities_unchanged: 0,
+  });
+
+  // Snapshot before listing, so activities stored meanwhile (e.g. by a
+  // webhook) are never considered for deletion
+  const storedFingerprints = new Map(
+    (await getActivityFingerprints(athlete_id))
+      .filter((activity) => !ranged || isInRange(activity.start_date, range))
+      .map((activity) => [activity.id, activity.fingerprint])
+  );
+  const keptIds = new Set();
+  const listedIds = new Set();
+  const changedIds = [];
+  let newestStartDate = null;
+
+  console.log(
+    `Reconciling ${storedFingerprints.size} stored activities with Strava`
+  );
+
+  // Only changed or unknown activities are processed (and geocoded).
+  // Unchanged ones still go through processing, and so get deleted, if
+  // the athlete's filter rules now exclude them.
+  await fetchStravaActivities(accessToken, {
+    after: range.after,
+    before: range.before,
+    filters,
+    onSkip,
+    shouldProcess: (activity) => {
+      const unchanged =
+        storedFingerprints.has(activity.id) &&
+        storedFingerprints.get(activity.id) === activityFingerprint(activity) &&
+        !findExcludingRule(activity, filters, {
+          gpsPoints: countGpsPoints(activity),
+        });
+
+      if (unchanged) {
+        keptIds.add(activity.id);
+        progress.activities_unchanged++;
+      }
+      return !unchanged;
+    },
+    onPage: async ({ activities, processed }) => {
+      for (const activity of activities) {
+        listedIds.add(activity.id);
+      }
+
+      for (const activity of processed) {
+        keptIds.add(activity.id);
+
+        if (storedFingerprints.has(activity.id)) {
+          changedIds.push(activity.id);
+          progress.activities_updated++;
+        } else {
+          progress.activities_added++;
+        }
+      }
+
+      if (processed.length > 0) {
+        progress.activities_stored += await storeActivities(
+          processed.map((activity) => ({
+            ...activity,
+            athlete_id: athlete_id.toString(),
+          }))
+        );
+      }
+
+      newestStartDate = newestStartDateOf(activities, newestStartDate);
+      progress.pages_fetched++;
+
+      await recordProgress();
+    },
+  });
+
+  const removedIds = [...storedFingerprints.keys()].filter(
+    (id) => !keptIds.has(id) && (privateActivities || listedIds.has(id))
+  );
+
+  if (!privateActivities) {
+    const unlisted = [...storedFingerprints.keys()].filter(
+      (id) => !listedIds.has(id)
+    ).length;
+    if (unlisted > 0) {
+      console.log(
+        `Keeping ${unlisted} activities missing from Strava's list, they may be private`
+      );
+    }
+  }
+
+  if (removedIds.length > 0) {
+    console.log(`Deleting ${removedIds.length} activities removed on Strava`);
+    progress.activities_deleted = await deleteActivities(removedIds);
+  }
+
+  // Streams of edited activities (e.g. cropped) are refetched when needed
+  await deleteActivityStreams(athlete_id, [...changedIds, ...removedIds]);
+
+  // Fetched from scratch, so it's safe to move the watermark up to here
+  if (!ranged && newestStartDate) {
+    await updateSyncWatermark(athlete_id, newestStartDate);
+  }
+}
+
+// Targeted resync: fetch specific activities and store them again, or
+// delete them if they're gone or no longer pass our filters. Without
+// activity:read_all a private activity also 404s, so those are kept.
+async function resyncActivities(
+  athlete_id,
+  accessToken,
+  progress,
+  { activityIds, privateActivities = true, filters, onSkip, recordProgress }
+) {
+  Object.assign(progress, {
+    activities_added: 0,
+    activities_updated: 0,
+    activities_deleted: 0,
+  });
+
+  const missingIds = new Set(await findMissingActivityIds(activityIds));
+  const activitiesToStore = [];
+  const updatedIds = [];
+  const idsToRemove = [];
+
+  for (const activityId of activityIds) {
+    let stravaActivity;
+    try {
+      stravaActivity = await fetchStravaActivity(accessToken, activityId);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+      if (!privateActivities) {
+        console.log(`Activity ${activityId} not found, it may be private`);
+        progress.activities_skipped++;
+        continue;
+      }
+      stravaActivity = null;
+    }
+
+    // Strava also returns other athletes' public activities
+    if (
+      stravaActivity &&
+      stravaActivity.athlete?.id?.toString() !== athlete_id.toString()
+    ) {
+      console.log(`Activity ${activityId} belongs to another athlete`);
+      progress.activities_skipped++;
+      continue;
+    }
+
+    const processedActivity = stravaActivity
+      ? await processStravaActivity(stravaActivity, { filters, onSkip })
+      : null;
+
+    if (processedActivity) {
+      activitiesToStore.push({
+        ...processedActivity,
+        athlete_id: athlete_id.toString(),
+      });
+
+      if (missingIds.has(activityId)) {
+        progress.activities_added++;
+      } else {
+        updatedIds.push(activityId);
+        progress.activities_updated++;
+      }
+    } else if (!missingIds.has(activityId)) {
+      idsToRemove.push(activityId);
+    } else {
+      progress.activities_skipped++;
+    }
+  }
+
+  if (activitiesToStore.length > 0) {
+    progress.activities_stored = await storeActivities(activitiesToStore);
+  }
+
+  // Only delete rows this athlete owns
+  const ownedIds = [];
+  for (const activityId of idsToRemove) {
+    const existing = await getActivity(activityId);
+
+    if (existing?.athlete_id === athlete_id.toString()) {
+      ownedIds.push(activityId);
+    } else {
+      progress.activities_skipped++;
+    }
+  }
+
+  if (ownedIds.length > 0) {
+    progress.activities_deleted = await deleteActivities(ownedIds);
+  }
+
+  await deleteActivityStreams(athlete_id, [...updatedIds, ...ownedIds]);
+
+  await recordProgress();
+}
+
+// Newest start_date among a page of Strava activities (or `current`)
+function newestStartDateOf(activities, current) {
+  let newest = current;
+
+  for (const activity of activities) {
+    if (!newest || activity.start_date > newest) {
+      newest = activity.start_date;
+    }
+  }
+
+  return newest;
+}
+
+// Fingerprint of the fields that change when an activity is edited on
+// Strava. Works on both summary and detailed activities.
+function activityFingerprint(activity) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        activity.name,
+        getSportType(activity),
+        activity.workout_type ?? null,
+        activity.distance,
+        activity.map?.summary_polyline || null,
+      ])
+    )
+    .digest("hex");
+}
+
+// Strava's workout_type for a race (1 for runs, 11 for rides)
+const RACE_WORKOUT_TYPES = [1, 11];
+
+// Whether a Strava activity looks like a race: tagged as one, or "race" as
+// a word in the name ("Post-race cooldown" and "Grace St" don't count).
+// Athletes can correct this with an override (see activity-overrides.js).
+function isRaceActivity(activity) {
+  return (
+    RACE_WORKOUT_TYPES.includes(activity.workout_type) ||
+    /(^|[^\w-])races?\b/i.test(activity.name || "")
+  );
+}
+
+// Fetch activities from Strava API page by page (optionally only those
+// started between the `after` and `before` epoch timestamps), starting at
+// `startPage`. Each page is handed to onPage with the activities that
+// passed `filters` (see processStravaActivity). Activities rejected by
+// `shouldProcess` aren't processed. Returns the number of processed
+// activities.
+async function fetchStravaActivities(
+  accessToken,
+  { after, before, startPage = 1, filters, onSkip, onPage, shouldProcess } = {}
+) {
+  let total = 0;
+  let page = startPage;
+  const perPage = 50;
+
+  while (true) {
+    console.log(`Fetching activities page ${page}...`);
+
+    const pageActivities = await fetchActivitiesPage(accessToken, {
+      page: page,
+      per_page: perPage,
+      after,
+      before,
+    });
+
+    if (pageActivities.length === 0) {
+      break; // No more activities
+    }
+
+    const processed = [];
+
+    for (const activity of pageActivities) {
+      if (shouldProcess && !shouldProcess(activity)) {
+        continue;
+      }
+
+      const processedActivity = await processStravaActivity(activity, {
+        filters,
+        onSkip,
+      });
+
+      if (processedActivity) {
+        processed.push(processedActivity);
+      }
+    }
+
+    total += processed.length;
+
+    if (onPage) {
+      await onPage({ page, activities: pageActivities, processed });
+    }
+
+    page++;
+  }
+
+  console.log(`Fetched ${total} activities total`);
+  return total;
+}
+
+// Fetch one page of the activity list, retrying transient failures (5xx,
+// network errors) with backoff before giving up on the run
+async function fetchActivitiesPage(accessToken, params) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await stravaGet("/athlete/activities", accessToken, { params });
+    } catch (error) {
+      if (attempt >= MAX_PAGE_ATTEMPTS || !isTransientError(error)) {
+        throw error;
+      }
+
+      const backoffDelay = Math.pow(2, attempt) * 1000;
+      console.warn(
+        `Page ${params.page} failed (${error.message}), retrying in ${backoffDelay}ms (attempt ${attempt}/${MAX_PAGE_ATTEMPTS})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+    }
+  }
+}
+
+// Rate limits are handled by strava-client, and 4xx won't get better
+function isTransientError(error) {
+  if (error instanceof StravaRateLimitError) {
+    return false;
+  }
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+  return !!error.code; // ECONNRESET, ETIMEDOUT...
+}
+
+// Fetch a single detailed activity from Strava
+async function fetchStravaActivity(
+  accessToken,
+  activityId,
+  { priority = "background" } = {}
+) {
+  return stravaGet(`/activities/${activityId}`, accessToken, { priority });
+}
+
+// GPS points in an activity's summary polyline
+function countGpsPoints(activity) {
+  return activity.map?.summary_polyline
+    ? decodePolyline(activity.map.summary_polyline).length
+    : 0;
+}
+
+// Apply the filter rules (see activity-filters.js) to a Strava activity
+// (summary or detailed) and convert it to the stored shape. Returns null
+// for activities we don't map, after telling onSkip which rule excluded
+// it.
+async function processStravaActivity(
+  activity,
+  { filters = DEFAULT_FILTER_RULES, onSkip } = {}
+) {
+  // Get simplified coordinates from summary polyline
+  const coordinates = activity.map?.summary_polyline
+    ? decodePolyline(activity.map.summary_polyline)
+    : [];
+
+  let skippedBy = findExcludingRule(activity, filters, {
+    gpsPoints: coordinates.length,
+  });
+
+  // Only activities with GPS data can go on the map, whatever the rules say
+  if (
+    !skippedBy &&
+    (!activity.start_latlng?.length || coordinates.length === 0)
+  ) {
+    skippedBy = "no-gps";
+  }
+
+  if (skippedBy) {
+    console.log(
+      `Skipping activity: ${activity.name} (${activity.type}) - ${skippedBy}`
+    );
+    if (onSkip) {
+      onSkip(activity, skippedBy);
+    }
+    return null;
+  }
+
+  // Use first coordinate from polyline for country detection
+  const firstCoordinate = coordinates[0];
+  const countryDetectionPoint = [firstCoordinate.lat, firstCoordinate.lng];
+
+  const sportType = getSportType(activity);
+
+  const processedActivity = {
+    id: activity.id,
+    name: activity.name,
+    type: mapStravaType(activity.type), // Legacy run/ride/swim (null for other sports)
+    sport_type: sportType, // Grouped into categories when read
+    metrics: extractMetrics(activity), // Raw metres and seconds
+    country: await getCountryFromCoordinates(countryDetectionPoint),
+    isRace: isRaceActivity(activity),
+    // Limit the route for summary view, stored encoded (see polyline.js)
+    polyline: encodePolyline(coordinates.slice(0, 20)),
+    polyline_precision: DEFAULT_PRECISION,
+    start_date: activity.start_date,
+    start_date_local: activity.start_date_local || null,
+    fingerprint: activityFingerprint(activity),
+  };
+
+  return processedActivity;
+}
+
+// Map Strava activity types to the legacy run/ride/swim types (see
+// activity-types.js for the full sport_type categories)
+function mapStravaType(stravaType) {
+  const typeMap = {
+    Run: "run",
+    Ride: "ride",
+    VirtualRide: null, // Explicitly exclude
+    VirtualRun: null, // Explicitly exclude
+    Swim: "swim",
+    Walk: "run",
+    Hike: "run",
+    TrailRun: "run",
+  };
+
+  return typeMap[stravaType] || null;
+}
+
+module.exports = {
+  SyncOptionsError,
+  parseSyncRange,
+  describeSyncRange,
+  getSyncType,
+  performBackgroundSync,
+  findActiveSyncJob,
+  findResumableSyncJob,
+  createSyncJobFor,
+  fetchStravaActivities,
+  fetchStravaActivity,
+  processStravaActivity,
+  activityFingerprint,
+  isRaceActivity,
+  mapStravaType,
+};
@@ -0,0 +1,47 @@
+// account-export.test.js - Building account export archives
+process.env.STORAGE_BACKEND = "memory";
+process.env.TOKEN_ENCRYPTION_KEYS = "k1:" + "A".repeat(43) + "=";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+
+const { storeAuthToken, storeActivities } = require("../storage");
+const { writeAccountExport } = require("../account-export");
+const { readZip } = require("./helpers/read-zip");
+
+async function exportAccount(athleteId) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+
+  const count = await writeAccountExport(athleteId, output);
+  output.end();
+
+  return { count, files: readZip(Buffer.concat(chunks)) };
+}
+
+test("exports activities synced before start dates were stored", async () => {
+  await storeAuthToken("1", {
+    access_token: "access",
+    refresh_token: "refresh",
+    expires_at: Math.floor(Date.now() / 1000) + 3600,
+  });
+  await storeActivities([
+    { id: 1, athlete_id: "1", name: "Old", type: "run" },
+    { id: 2, athlete_id: "1", name: "A", start_date: "2024-01-01T00:00:00Z" },
+    { id: 3, athlete_id: "1", name: "B", start_date: "2024-02-01T00:00:00Z" },
+  ]);
+
+  const { count, files } = await exportAccount("1");
+  const manifest = JSON.parse(files["manifest.json"]);
+
+  assert.equal(count, 3);
+  assert.equal(manifest.activity_count, 3);
+  assert.deepEqual(
+    manifest.files.map((file) => file.activity_id),
+    [3, 2, 1]
+  );
+  assert.equal(JSON.parse(files["activities/1.json"]).name, "Old");
+  assert.ok(files["gpx/1.gpx"]);
+});
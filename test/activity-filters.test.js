@@ -0,0 +1,103 @@
+// activity-filters.test.js - Filter rule validation and evaluation
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_FILTER_RULES,
+  FilterRulesError,
+  findExcludingRule,
+  validateFilterSettings,
+} = require("../activity-filters");
+
+test("validateFilterSettings keeps known fields and defaults the action", () => {
+  assert.deepEqual(
+    validateFilterSettings({
+      rules: [{ id: "commutes", name_pattern: "commute", colour: "red" }],
+      disabled_defaults: ["manual", "manual"],
+    }),
+    {
+      rules: [{ id: "commutes", action: "exclude", name_pattern: "commute" }],
+      disabled_defaults: ["manual"],
+    }
+  );
+});
+
+test("validateFilterSettings rejects bad rules", () => {
+  const invalid = [
+    { rules: "commute" },
+    { rules: [{ id: "no conditions" }] },
+    { rules: [{ id: "x", action: "skip", manual: true }] },
+    { rules: [{ id: "trainer", manual: true }] },
+    {
+      rules: [
+        { id: "x", manual: true },
+        { id: "x", trainer: true },
+      ],
+    },
+    { rules: [{ id: "x", name_pattern: "(" }] },
+    { rules: [{ id: "x", min_gps_points: -1 }] },
+    { disabled_defaults: ["unknown"] },
+  ];
+
+  for (const settings of invalid) {
+    assert.throws(() => validateFilterSettings(settings), FilterRulesError);
+  }
+});
+
+test("validateFilterSettings rejects patterns that can backtrack exponentially", () => {
+  const unsafe = ["(a+)+$", "(a|aa)*", "(?:x*y?)+", "(a)\\1", "(?<w>a)\\k<w>"];
+
+  for (const pattern of unsafe) {
+    assert.throws(
+      () =>
+        validateFilterSettings({ rules: [{ id: "x", name_pattern: pattern }] }),
+      /too complex/
+    );
+  }
+
+  const safe = [
+    "zwift|peloton",
+    "^(morning|evening) run$",
+    "[(+]+",
+    "\\(a+\\)+",
+  ];
+
+  for (const pattern of safe) {
+    assert.doesNotThrow(() =>
+      validateFilterSettings({ rules: [{ id: "x", name_pattern: pattern }] })
+    );
+  }
+});
+
+test("findExcludingRule returns the first matching rule", () => {
+  const rules = [
+    { id: "keep-races", action: "include", name_pattern: "race" },
+    ...DEFAULT_FILTER_RULES,
+  ];
+  const gps = { gpsPoints: 100 };
+
+  assert.equal(
+    findExcludingRule({ name: "Zwift race", sport_type: "Ride" }, rules, gps),
+    null
+  );
+  assert.equal(
+    findExcludingRule({ name: "Zwift ride", sport_type: "Ride" }, rules, gps),
+    "indoor-names"
+  );
+  assert.equal(
+    findExcludingRule({ name: "Ride", trainer: true }, rules, gps),
+    "trainer"
+  );
+  assert.equal(findExcludingRule({ name: "Ride" }, rules), "min-gps-points");
+});
+
+test("default rules keep outdoor activities named after trainers", () => {
+  assert.equal(
+    findExcludingRule({ name: "Trainer's Loop" }, DEFAULT_FILTER_RULES, {
+      gpsPoints: 100,
+    }),
+    null
+  );
+});
@@ -0,0 +1,64 @@
+// activity-overrides.test.js - Validating and applying activity overrides
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  OverridesError,
+  validateOverrides,
+  applyOverrides,
+} = require("../activity-overrides");
+
+test("validateOverrides trims text and dedupes tags", () => {
+  assert.deepEqual(
+    validateOverrides({
+      isRace: true,
+      name: "  Parkrun  ",
+      tags: ["pb", " pb ", "wet"],
+    }),
+    { isRace: true, name: "Parkrun", tags: ["pb", "wet"] }
+  );
+});
+
+test("validateOverrides clears fields set to null or empty tags", () => {
+  assert.deepEqual(validateOverrides({ notes: null, tags: [] }), {
+    notes: null,
+    tags: null,
+  });
+});
+
+test("validateOverrides rejects bad bodies", () => {
+  const invalid = [
+    null,
+    [],
+    {},
+    { distance: 5 },
+    { isRace: "yes" },
+    { name: "   " },
+    { notes: "x".repeat(2001) },
+    { tags: "pb" },
+    { tags: Array.from({ length: 21 }, (_, i) => `tag${i}`) },
+  ];
+
+  for (const body of invalid) {
+    assert.throws(() => validateOverrides(body), OverridesError);
+  }
+});
+
+test("applyOverrides layers overrides over the synced activity", () => {
+  const activity = { id: 1, name: "Morning Run", isRace: false };
+
+  assert.deepEqual(applyOverrides(activity, null), {
+    ...activity,
+    hidden: false,
+    notes: null,
+    tags: [],
+    overridden_fields: [],
+  });
+
+  const merged = applyOverrides(activity, { isRace: true, name: null });
+  assert.equal(merged.isRace, true);
+  assert.equal(merged.name, "Morning Run");
+  assert.deepEqual(merged.overridden_fields, ["isRace"]);
+});
@@ -0,0 +1,86 @@
+// activity-types.test.js - Sport types and their categories
+process.env.STORAGE_BACKEND = "memory";
+process.env.ACTIVITY_CATEGORIES = JSON.stringify({
+  running: ["Run", "TrailRun"],
+  bike: ["Ride", "GravelRide"],
+});
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  describeStoredType,
+  resolveActivityTypeFilter,
+} = require("../activity-types");
+const { formatActivity } = require("../activity-metrics");
+
+// Load activity-types.js afresh with another ACTIVITY_CATEGORIES
+function loadCategories(value) {
+  const modulePath = require.resolve("../activity-types");
+  const original = process.env.ACTIVITY_CATEGORIES;
+
+  delete require.cache[modulePath];
+  process.env.ACTIVITY_CATEGORIES = value;
+  try {
+    return require(modulePath).ACTIVITY_CATEGORIES;
+  } finally {
+    process.env.ACTIVITY_CATEGORIES = original;
+    delete require.cache[modulePath];
+  }
+}
+
+test("categories come from the current grouping, not the stored row", () => {
+  assert.deepEqual(
+    describeStoredType({ sport_type: "TrailRun", category: "foot" }),
+    { sport_type: "TrailRun", category: "running" }
+  );
+  assert.deepEqual(describeStoredType({ sport_type: "Yoga" }), {
+    sport_type: "Yoga",
+    category: "other",
+  });
+});
+
+test("rows from before sport_type was kept are grouped by their type", () => {
+  assert.deepEqual(describeStoredType({ type: "ride" }), {
+    sport_type: null,
+    category: "bike",
+  });
+  assert.equal(describeStoredType({ type: "swim" }).category, "other");
+  assert.equal(describeStoredType({}).category, "other");
+});
+
+test("formatActivity reports the current category", () => {
+  const activity = { id: 1, sport_type: "GravelRide", category: "cycle" };
+
+  assert.equal(formatActivity(activity).category, "bike");
+});
+
+test("resolveActivityTypeFilter tells categories from stored types", () => {
+  assert.equal(resolveActivityTypeFilter(undefined), null);
+  assert.equal(resolveActivityTypeFilter("all"), null);
+  assert.deepEqual(resolveActivityTypeFilter("bike"), { category: "bike" });
+  assert.deepEqual(resolveActivityTypeFilter("other"), { category: "other" });
+  assert.deepEqual(resolveActivityTypeFilter("trailrun"), {
+    sport_type: "TrailRun",
+  });
+  assert.deepEqual(resolveActivityTypeFilter("run"), { type: "run" });
+  // Default category names are sport types once they're replaced
+  assert.deepEqual(resolveActivityTypeFilter("foot"), { sport_type: "foot" });
+});
+
+test("ACTIVITY_CATEGORIES of the wrong shape falls back to the defaults", () => {
+  const defaults = loadCategories("");
+
+  for (const value of [
+    "not json",
+    "null",
+    "[]",
+    "5",
+    "{}",
+    JSON.stringify({ foot: "Run" }),
+    JSON.stringify({ foot: [1, 2] }),
+  ]) {
+    assert.deepEqual(loadCategories(value), defaults);
+  }
+  assert.ok(defaults.foot.includes("Run"));
+});
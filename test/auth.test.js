@@ -0,0 +1,223 @@
+// auth.test.js - Sessions, OAuth state and scope checks
+process.env.STORAGE_BACKEND = "memory";
+process.env.SESSION_SECRET = "test-session-secret-that-is-long-enough";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const {
+  createSessionToken,
+  verifySessionToken,
+  requireAuth,
+  createOAuthState,
+  verifyOAuthState,
+  parseScopes,
+  hasRequiredScopes,
+  canReadPrivateActivities,
+} = require("../auth");
+
+// Just enough of an Express response to record what a handler did
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    cookies: {},
+    cleared: [],
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    cookie(name, value, options) {
+      this.cookies[name] = { value, options };
+    },
+    clearCookie(name) {
+      this.cleared.push(name);
+    },
+  };
+}
+
+function runRequireAuth(req) {
+  const res = mockResponse();
+  let nextCalled = false;
+
+  requireAuth(req, res, () => {
+    nextCalled = true;
+  });
+
+  return { res, nextCalled };
+}
+
+// ========================================
+// SESSIONS
+// ========================================
+
+test("session tokens round trip to the athlete ID", () => {
+  assert.equal(verifySessionToken(createSessionToken(123)), "123");
+});
+
+test("session tokens signed with another secret are rejected", () => {
+  const forged = jwt.sign({}, "some-other-secret", {
+    subject: "123",
+    issuer: "strava-activities-api",
+  });
+
+  assert.throws(() => verifySessionToken(forged), /invalid signature/);
+});
+
+test("requireAuth accepts a valid session cookie", () => {
+  const req = {
+    cookies: { strava_session: createSessionToken(123) },
+    query: {},
+  };
+  const { res, nextCalled } = runRequireAuth(req);
+
+  assert.equal(nextCalled, true);
+  assert.equal(res.statusCode, 200);
+  assert.equal(req.athleteId, "123");
+});
+
+test("requireAuth rejects requests without a session", () => {
+  const { res, nextCalled } = runRequireAuth({ cookies: {}, query: {} });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test("requireAuth clears expired sessions", () => {
+  const expired = jwt.sign(
+    { exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.SESSION_SECRET,
+    { subject: "123", issuer: "strava-activities-api" }
+  );
+  const { res, nextCalled } = runRequireAuth({
+    cookies: { strava_session: expired },
+    query: {},
+  });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(res.cleared, ["strava_session"]);
+});
+
+test("requireAuth rejects an athlete_id other than the session's", () => {
+  const cookies = { strava_session: createSessionToken(123) };
+
+  for (const req of [
+    { cookies, query: { athlete_id: "456" } },
+    { cookies, params: { athlete_id: "456" }, query: {} },
+    { cookies, query: {}, body: { athlete_id: 456 } },
+  ]) {
+    const { res, nextCalled } = runRequireAuth(req);
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  }
+
+  const { nextCalled } = runRequireAuth({
+    cookies,
+    query: {},
+    body: { athlete_id: 123 },
+  });
+  assert.equal(nextCalled, true);
+});
+
+// ========================================
+// OAUTH STATE & SCOPES
+// ========================================
+
+// Start a flow, returning the state for Strava and the browser's cookies
+function startOAuthFlow() {
+  const res = mockResponse();
+  const state = createOAuthState(res);
+
+  return {
+    state,
+    cookies: { strava_oauth_state: res.cookies.strava_oauth_state.value },
+  };
+}
+
+test("verifyOAuthState accepts the state from the same browser", () => {
+  const { state, cookies } = startOAuthFlow();
+  const res = mockResponse();
+
+  assert.equal(verifyOAuthState({ query: { state }, cookies }, res), true);
+  assert.deepEqual(res.cleared, ["strava_oauth_state"]);
+});
+
+test("verifyOAuthState rejects a state started in another browser", () => {
+  const { state } = startOAuthFlow();
+  const { cookies } = startOAuthFlow();
+
+  assert.equal(
+    verifyOAuthState({ query: { state }, cookies }, mockResponse()),
+    false
+  );
+  assert.equal(
+    verifyOAuthState({ query: { state }, cookies: {} }, mockResponse()),
+    false
+  );
+});
+
+test("verifyOAuthState rejects missing, forged and expired states", () => {
+  const { cookies } = startOAuthFlow();
+  const nonce = cookies.strava_oauth_state;
+  const sign = (secret, payload) =>
+    jwt.sign(payload, secret, {
+      issuer: "strava-activities-api",
+      audience: "strava-oauth-state",
+    });
+
+  const states = [
+    undefined,
+    sign("some-other-secret", { nonce }),
+    sign(process.env.SESSION_SECRET, {
+      nonce,
+      exp: Math.floor(Date.now() / 1000) - 60,
+    }),
+    // A session token is signed with the same secret but isn't a state
+    createSessionToken(123),
+  ];
+
+  for (const state of states) {
+    assert.equal(
+      verifyOAuthState({ query: { state }, cookies }, mockResponse()),
+      false
+    );
+  }
+});
+
+test("parseScopes splits Strava's scope parameter", () => {
+  assert.deepEqual(parseScopes("read,activity:read_all"), [
+    "read",
+    "activity:read_all",
+  ]);
+  assert.deepEqual(parseScopes("read activity:read"), [
+    "read",
+    "activity:read",
+  ]);
+  assert.deepEqual(parseScopes(undefined), []);
+});
+
+test("hasRequiredScopes needs read and an activity scope", () => {
+  assert.equal(hasRequiredScopes(["read", "activity:read"]), true);
+  assert.equal(hasRequiredScopes(["read", "activity:read_all"]), true);
+  assert.equal(hasRequiredScopes(["read"]), false);
+  assert.equal(hasRequiredScopes(["activity:read_all"]), false);
+});
+
+test("canReadPrivateActivities needs activity:read_all", () => {
+  assert.equal(
+    canReadPrivateActivities({ scopes: ["read", "activity:read"] }),
+    false
+  );
+  assert.equal(
+    canReadPrivateActivities({ scopes: ["read", "activity:read_all"] }),
+    true
+  );
+  // Records from before scopes were stored
+  assert.equal(canReadPrivateActivities({}), true);
+});
@@ -0,0 +1,98 @@
+// fake-strava.js - An in-process Strava API for sync tests
+//
+// Requests made through axios.get (see strava-client.js) are answered
+// from `activities`, like Strava's list and detail endpoints. Country
+// lookups are slow and rate limited (see geocoding.js), so they're
+// replaced with a fixed answer; require this before sync.js.
+const axios = require("axios");
+
+require.cache[require.resolve("../../geocoding")] = {
+  loaded: true,
+  exports: { getCountryFromCoordinates: async () => "United States" },
+};
+
+const STRAVA_API_BASE = "https://www.strava.com/api/v3";
+
+// Google's example polyline: three points, enough for the default rules
+const ROUTE = "_p~iF~ps|U_ulLnnqC_mqNvxq`@";
+
+function stravaError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {}, data: { message: `HTTP ${status}` } },
+  });
+}
+
+// A summary activity as Strava lists it
+function stravaActivity(id, startDate, fields = {}) {
+  return {
+    id,
+    athlete: { id: 1 },
+    name: `Activity ${id}`,
+    type: "Run",
+    sport_type: "Run",
+    distance: 5000,
+    moving_time: 1500,
+    elapsed_time: 1600,
+    start_date: startDate,
+    start_date_local: startDate,
+    start_latlng: [38.5, -120.2],
+    map: { summary_polyline: ROUTE },
+    ...fields,
+  };
+}
+
+// `requests` records each list request's params. `failOn(params)` may
+// return an error for a list request to fail with.
+function installFakeStrava() {
+  const originalGet = axios.get;
+  const fake = { activities: [], requests: [], failOn: null };
+
+  function listActivities({ page = 1, per_page = 30, after, before }) {
+    const epoch = (activity) => Date.parse(activity.start_date) / 1000;
+    const matching = fake.activities
+      .filter(
+        (activity) =>
+          (after === undefined || epoch(activity) > after) &&
+          (before === undefined || epoch(activity) < before)
+      )
+      // Oldest first when asking for activities after a time
+      .sort((a, b) =>
+        after !== undefined ? epoch(a) - epoch(b) : epoch(b) - epoch(a)
+      );
+
+    return matching.slice((page - 1) * per_page, page * per_page);
+  }
+
+  axios.get = async (url, { params = {} } = {}) => {
+    const path = url.slice(STRAVA_API_BASE.length);
+
+    if (path === "/athlete/activities") {
+      fake.requests.push(params);
+      const error = fake.failOn?.(params);
+      if (error) {
+        throw error;
+      }
+      return { data: structuredClone(listActivities(params)), headers: {} };
+    }
+
+    const match = path.match(/^\/activities\/(\d+)$/);
+    const activity =
+      match && fake.activities.find((a) => a.id === Number(match[1]));
+    if (!activity) {
+      throw stravaError(404);
+    }
+    return { data: structuredClone(activity), headers: {} };
+  };
+
+  fake.restore = () => {
+    axios.get = originalGet;
+  };
+
+  return fake;
+}
+
+module.exports = {
+  stravaActivity,
+  stravaError,
+  installFakeStrava,
+};
@@ -0,0 +1,37 @@
+// read-zip.js - Reads archives written by zip.js back in tests
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+// Read each file back through the central directory
+function readZip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString(
+      "utf8",
+      position + 46,
+      position + 46 + nameLength
+    );
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    files[name] = zlib
+      .inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize))
+      .toString();
+
+    position += 46 + nameLength;
+  }
+
+  return files;
+}
+
+module.exports = { readZip };
@@ -0,0 +1,68 @@
+// polyline.test.js - Encoded polyline routes
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  encodePolyline,
+  decodePolyline,
+  routeCoordinates,
+  formatRoute,
+} = require("../polyline");
+
+// Google's documented example
+const EXAMPLE_POLYLINE = "_p~iF~ps|U_ulLnnqC_mqNvxq`@";
+const EXAMPLE_COORDINATES = [
+  { lat: 38.5, lng: -120.2 },
+  { lat: 40.7, lng: -120.95 },
+  { lat: 43.252, lng: -126.453 },
+];
+
+test("decodePolyline decodes Google's example", () => {
+  assert.deepEqual(decodePolyline(EXAMPLE_POLYLINE), EXAMPLE_COORDINATES);
+  assert.deepEqual(decodePolyline(""), []);
+});
+
+test("encodePolyline round trips at each precision", () => {
+  assert.equal(encodePolyline(EXAMPLE_COORDINATES), EXAMPLE_POLYLINE);
+
+  const track = [
+    { lat: 51.507351, lng: -0.127758 },
+    { lat: 51.507412, lng: -0.127612 },
+    { lat: -33.868819, lng: 151.209295 },
+  ];
+  assert.deepEqual(decodePolyline(encodePolyline(track, 6), 6), track);
+});
+
+test("routeCoordinates prefers legacy coordinates over the polyline", () => {
+  const coordinates = [{ lat: 1, lng: 2 }];
+
+  assert.equal(
+    routeCoordinates({ coordinates, polyline: EXAMPLE_POLYLINE }),
+    coordinates
+  );
+  assert.deepEqual(
+    routeCoordinates({ polyline: EXAMPLE_POLYLINE }),
+    EXAMPLE_COORDINATES
+  );
+  assert.deepEqual(routeCoordinates({}), []);
+});
+
+test("formatRoute returns either coordinates or a polyline", () => {
+  const activity = { id: 1, polyline: EXAMPLE_POLYLINE, polyline_precision: 5 };
+
+  assert.deepEqual(formatRoute(activity), {
+    id: 1,
+    coordinates: EXAMPLE_COORDINATES,
+  });
+  assert.deepEqual(formatRoute(activity, { format: "polyline" }), {
+    id: 1,
+    polyline: EXAMPLE_POLYLINE,
+    polyline_precision: 5,
+  });
+
+  const detailed = formatRoute(activity, { format: "polyline", precision: 6 });
+  assert.equal(detailed.polyline_precision, 6);
+  assert.deepEqual(decodePolyline(detailed.polyline, 6), EXAMPLE_COORDINATES);
+});
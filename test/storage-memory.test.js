@@ -0,0 +1,95 @@
+// storage-memory.test.js - The in-memory storage backend
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMemoryStorage } = require("../storage/memory");
+const { InvalidCursorError } = require("../storage/common");
+
+const activity = (id, startDate) => ({
+  id,
+  athlete_id: "1",
+  name: `Activity ${id}`,
+  sport_type: "Run",
+  start_date: startDate,
+});
+
+test("getActivitiesPage pages through activities newest first", async () => {
+  const storage = createMemoryStorage();
+  await storage.storeActivities([
+    activity(1, "2024-01-01T00:00:00Z"),
+    activity(2, "2024-03-01T00:00:00Z"),
+    activity(3, "2024-02-01T00:00:00Z"),
+    { ...activity(4, "2024-04-01T00:00:00Z"), athlete_id: "2" },
+  ]);
+
+  const first = await storage.getActivitiesPage("1", {}, { limit: 2 });
+  assert.deepEqual(
+    first.activities.map((a) => a.id),
+    [2, 3]
+  );
+
+  const second = await storage.getActivitiesPage(
+    "1",
+    {},
+    { limit: 2, cursor: first.next_cursor }
+  );
+  assert.deepEqual(
+    second.activities.map((a) => a.id),
+    [1]
+  );
+  assert.equal(second.next_cursor, null);
+
+  await assert.rejects(
+    storage.getActivitiesPage("2", {}, { cursor: first.next_cursor }),
+    InvalidCursorError
+  );
+});
+
+test("stored records can't be changed through returned copies", async () => {
+  const storage = createMemoryStorage();
+  await storage.storeActivity(activity(1, "2024-01-01T00:00:00Z"));
+
+  const stored = await storage.getActivity(1);
+  stored.name = "Changed";
+
+  assert.equal((await storage.getActivity(1)).name, "Activity 1");
+});
+
+test("overrides set to null are removed", async () => {
+  const storage = createMemoryStorage();
+  await storage.updateActivityOverrides("1", 5, { isRace: true, notes: "PB" });
+  await storage.updateActivityOverrides("1", 5, { notes: null });
+
+  const overrides = await storage.listActivityOverrides("1");
+  assert.equal(overrides.get(5).isRace, true);
+  assert.equal(overrides.get(5).notes, undefined);
+});
+
+test("export archives are downloadable until they expire", async () => {
+  const storage = createMemoryStorage();
+  const job = await storage.createExportJob("1");
+  const archive = Buffer.from("zip");
+
+  await storage.storeExportArchive(
+    "1",
+    job.job_id,
+    archive,
+    new Date(Date.now() + 60000).toISOString()
+  );
+  assert.deepEqual(await storage.getExportDownload("1", job.job_id), {
+    archive,
+  });
+
+  await storage.storeExportArchive(
+    "1",
+    job.job_id,
+    archive,
+    new Date(Date.now() - 1000).toISOString()
+  );
+  assert.equal(await storage.getExportDownload("1", job.job_id), null);
+
+  assert.equal(await storage.deleteAllAccountExports("1"), 1);
+  assert.equal(await storage.getExportJob("1", job.job_id), null);
+});
@@ -0,0 +1,137 @@
+// strava-client.test.js - Rate-limit budgeting for Strava API calls
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+
+const originalGet = axios.get;
+
+// Responses report a 15 minute limit of 200 and a daily limit of 2000
+function rateLimitHeaders(dailyUsage) {
+  return {
+    "x-ratelimit-limit": "200,2000",
+    "x-ratelimit-usage": `0,${dailyUsage}`,
+  };
+}
+
+function respondWith(dailyUsage, data = {}) {
+  axios.get = async () => ({ data, headers: rateLimitHeaders(dailyUsage) });
+}
+
+// Usage is tracked per process, so each test loads a fresh client
+let StravaRateLimitError, stravaGet, hasBudget, getRateLimitStatus;
+
+test.beforeEach(() => {
+  delete require.cache[require.resolve("../strava-client")];
+  ({
+    StravaRateLimitError,
+    stravaGet,
+    hasBudget,
+    getRateLimitStatus,
+  } = require("../strava-client"));
+});
+
+test.after(() => {
+  axios.get = originalGet;
+});
+
+// Blocked background requests only give up (rather than sleep) when the
+// daily reset is more than 5 minutes off
+const nearMidnight = new Date().getUTCHours() === 23;
+
+test("usage is recorded from Strava's response headers", async () => {
+  respondWith(150, { id: 1 });
+
+  assert.deepEqual(await stravaGet("/athlete", "token"), { id: 1 });
+
+  const { overall } = getRateLimitStatus();
+  assert.equal(overall.daily.usage, 150);
+  assert.equal(overall.daily.limit, 2000);
+  assert.equal(overall.short_term.limit, 200);
+});
+
+test("the access token is sent as a bearer token", async () => {
+  let request;
+  axios.get = async (url, options) => {
+    request = { url, ...options };
+    return { data: {}, headers: rateLimitHeaders(1) };
+  };
+
+  await stravaGet("/activities", "abc", { params: { page: 2 } });
+
+  assert.equal(request.url, "https://www.strava.com/api/v3/activities");
+  assert.equal(request.headers.Authorization, "Bearer abc");
+  assert.deepEqual(request.params, { page: 2 });
+});
+
+test(
+  "background requests stop short of the budget",
+  { skip: nearMidnight },
+  async () => {
+    respondWith(1700);
+    await stravaGet("/athlete", "token");
+
+    assert.equal(hasBudget("background"), false);
+    await assert.rejects(stravaGet("/athlete", "token"), StravaRateLimitError);
+  }
+);
+
+test("interactive requests may use the headroom", async () => {
+  respondWith(1700);
+  await stravaGet("/athlete", "token");
+
+  assert.equal(hasBudget("interactive"), true);
+  await stravaGet("/athlete", "token", { priority: "interactive" });
+
+  respondWith(1990);
+  await stravaGet("/athlete", "token", { priority: "interactive" });
+
+  assert.equal(hasBudget("interactive"), false);
+  await assert.rejects(
+    stravaGet("/athlete", "token", { priority: "interactive" }),
+    (error) => {
+      assert.ok(error instanceof StravaRateLimitError);
+      assert.equal(error.retryAt.getUTCHours(), 0);
+      return true;
+    }
+  );
+});
+
+test("a 429 within our budget is reported as a rate limit", async () => {
+  axios.get = async () => {
+    throw Object.assign(new Error("Too Many Requests"), {
+      response: { status: 429, headers: rateLimitHeaders(10) },
+    });
+  };
+
+  await assert.rejects(stravaGet("/athlete", "token"), StravaRateLimitError);
+});
+
+test(
+  "a 429 that shows the budget used up waits for it",
+  { skip: nearMidnight },
+  async () => {
+    let calls = 0;
+    axios.get = async () => {
+      calls++;
+      throw Object.assign(new Error("Too Many Requests"), {
+        response: { status: 429, headers: rateLimitHeaders(2000) },
+      });
+    };
+
+    await assert.rejects(stravaGet("/athlete", "token"), StravaRateLimitError);
+    assert.equal(calls, 1);
+  }
+);
+
+test("other errors are passed through", async () => {
+  axios.get = async () => {
+    throw Object.assign(new Error("Not Found"), {
+      response: { status: 404, headers: rateLimitHeaders(10) },
+    });
+  };
+
+  await assert.rejects(stravaGet("/activities/1", "token"), /Not Found/);
+  assert.equal(hasBudget("background"), true);
+});
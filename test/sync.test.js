@@ -0,0 +1,317 @@
+// sync.test.js - Syncing activities from Strava
+process.env.STORAGE_BACKEND = "memory";
+process.env.TOKEN_ENCRYPTION_KEYS = "k1:" + "A".repeat(43) + "=";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  stravaActivity,
+  stravaError,
+  installFakeStrava,
+} = require("./helpers/fake-strava");
+const storage = require("../storage");
+const {
+  createSyncJobFor,
+  performBackgroundSync,
+  isRaceActivity,
+} = require("../sync");
+
+let strava;
+let athleteId = 0;
+
+// Each test syncs a newly connected athlete
+test.beforeEach(async () => {
+  strava = installFakeStrava();
+  athleteId++;
+  await storage.storeAuthToken(athleteId, {
+    access_token: "access",
+    refresh_token: "refresh",
+    expires_at: Math.floor(Date.now() / 1000) + 3600,
+  });
+});
+
+test.afterEach(() => {
+  strava.restore();
+});
+
+// Strava activities for the current athlete, one a day from `firstDay`
+function activitiesFrom(firstDay, count, fields = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const id = athleteId * 1000 + firstDay + i;
+    const startDate = new Date(Date.UTC(2024, 0, firstDay + i)).toISOString();
+    return stravaActivity(id, startDate.replace(".000", ""), {
+      athlete: { id: athleteId },
+      ...fields,
+    });
+  });
+}
+
+async function runSync({
+  full_sync = false,
+  reconcile = false,
+  range = {},
+  privateActivities,
+} = {}) {
+  const job = await createSyncJobFor(athleteId, {
+    full_sync,
+    reconcile,
+    range,
+  });
+  const state = await performBackgroundSync(athleteId, "access", full_sync, {
+    jobId: job.job_id,
+    reconcile,
+    range,
+    privateActivities,
+  });
+
+  return { state, job: await storage.getSyncJob(athleteId, job.job_id) };
+}
+
+async function storedIds() {
+  return (await storage.getActivities(athleteId)).map((a) => a.id).sort();
+}
+
+const epoch = (date) => Date.parse(date) / 1000;
+
+// ========================================
+// RACE DETECTION
+// ========================================
+
+test("isRaceActivity trusts Strava's race workout types", () => {
+  assert.equal(isRaceActivity({ name: "Sunday", workout_type: 1 }), true);
+  assert.equal(isRaceActivity({ name: "Sunday", workout_type: 11 }), true);
+  assert.equal(isRaceActivity({ name: "Sunday", workout_type: 3 }), false);
+});
+
+test("isRaceActivity looks for race as a word in the name", () => {
+  assert.equal(isRaceActivity({ name: "Club Race" }), true);
+  assert.equal(isRaceActivity({ name: "races at the track" }), true);
+  assert.equal(isRaceActivity({ name: "Post-race cooldown" }), false);
+  assert.equal(isRaceActivity({ name: "Grace St" }), false);
+  assert.equal(isRaceActivity({}), false);
+});
+
+// ========================================
+// INCREMENTAL SYNC
+// ========================================
+
+test("the first incremental sync fetches everything and sets the watermark", async () => {
+  strava.activities = activitiesFrom(1, 3);
+
+  const { state, job } = await runSync();
+
+  assert.equal(state, "succeeded");
+  assert.equal(job.activities_stored, 3);
+  assert.equal(strava.requests[0].after, undefined);
+  assert.equal(
+    await storage.getSyncWatermark(athleteId),
+    strava.activities[2].start_date
+  );
+});
+
+test("incremental syncs only ask for activities after the watermark", async () => {
+  strava.activities = activitiesFrom(1, 3);
+  await runSync();
+
+  strava.activities.push(...activitiesFrom(4, 2));
+  strava.requests = [];
+  const { job } = await runSync();
+
+  assert.equal(
+    strava.requests[0].after,
+    epoch(strava.activities[2].start_date)
+  );
+  assert.equal(job.activities_stored, 2);
+  assert.equal(job.activities_skipped, 0);
+  assert.equal((await storedIds()).length, 5);
+  assert.equal(
+    await storage.getSyncWatermark(athleteId),
+    strava.activities[4].start_date
+  );
+});
+
+test("filtered activities still move the watermark", async () => {
+  strava.activities = [
+    ...activitiesFrom(1, 1),
+    ...activitiesFrom(2, 1, { manual: true }),
+  ];
+
+  const { job } = await runSync();
+
+  assert.equal(job.activities_stored, 1);
+  assert.deepEqual(job.filtered_by_rule, { manual: 1 });
+  assert.equal(
+    await storage.getSyncWatermark(athleteId),
+    strava.activities[1].start_date
+  );
+});
+
+test("full syncs ignore the watermark", async () => {
+  strava.activities = activitiesFrom(1, 2);
+  await runSync();
+
+  strava.requests = [];
+  const { job } = await runSync({ full_sync: true });
+
+  assert.equal(strava.requests[0].after, undefined);
+  assert.equal(job.activities_stored, 2);
+});
+
+test("date-range syncs leave the watermark alone", async () => {
+  strava.activities = activitiesFrom(1, 5);
+
+  const { job } = await runSync({
+    range: {
+      after: epoch("2024-01-01T12:00:00Z"),
+      before: epoch("2024-01-03T12:00:00Z"),
+    },
+  });
+
+  assert.equal(job.activities_stored, 2);
+  assert.equal(await storage.getSyncWatermark(athleteId), null);
+});
+
+test("a failed sync doesn't move the watermark", async () => {
+  strava.activities = activitiesFrom(1, 60);
+  strava.failOn = ({ page }) => page === 2 && stravaError(403);
+
+  const { state, job } = await runSync();
+
+  assert.equal(state, "failed");
+  assert.equal(job.activities_stored, 50);
+  assert.equal(await storage.getSyncWatermark(athleteId), null);
+});
+
+// ========================================
+// RECONCILE
+// ========================================
+
+test("reconcile picks up activities edited, deleted and added on Strava", async () => {
+  strava.activities = activitiesFrom(1, 3);
+  await runSync();
+
+  const [edited, deleted, unchanged] = strava.activities;
+  edited.name = "Renamed on Strava";
+  strava.activities = [edited, unchanged, ...activitiesFrom(4, 1)];
+
+  const { state, job } = await runSync({ reconcile: true });
+
+  assert.equal(state, "succeeded");
+  assert.equal(job.activities_added, 1);
+  assert.equal(job.activities_updated, 1);
+  assert.equal(job.activities_deleted, 1);
+  assert.equal(job.activities_unchanged, 1);
+  assert.equal(await storage.getActivity(deleted.id), null);
+  assert.equal(
+    (await storage.getActivity(edited.id)).name,
+    "Renamed on Strava"
+  );
+});
+
+test("reconcile keeps activities that may be private", async () => {
+  strava.activities = activitiesFrom(1, 2);
+  await runSync();
+
+  // Without activity:read_all, private activities aren't listed
+  strava.activities = strava.activities.slice(1);
+  const { job } = await runSync({ reconcile: true, privateActivities: false });
+
+  assert.equal(job.activities_deleted, 0);
+  assert.equal((await storedIds()).length, 2);
+});
+
+test("reconcile deletes activities the athlete's rules now exclude", async () => {
+  strava.activities = activitiesFrom(1, 2);
+  await runSync();
+
+  await storage.storeFilterSettings(athleteId, {
+    rules: [{ id: "no-day-one", action: "exclude", name_pattern: "001$" }],
+    disabled_defaults: [],
+  });
+  const { job } = await runSync({ reconcile: true });
+
+  assert.equal(job.activities_deleted, 1);
+  assert.deepEqual(await storedIds(), [strava.activities[1].id]);
+});
+
+test("a date-range reconcile only deletes inside the range", async () => {
+  strava.activities = activitiesFrom(1, 4);
+  await runSync();
+
+  strava.activities = [];
+  const { job } = await runSync({
+    reconcile: true,
+    range: { after: epoch("2024-01-02T12:00:00Z") },
+  });
+
+  assert.equal(job.activities_deleted, 2);
+  assert.equal((await storedIds()).length, 2);
+});
+
+// ========================================
+// CHECKPOINTS
+// ========================================
+
+// Sync up to day 1, then fail partway through 120 newer activities
+async function interruptedSync() {
+  strava.activities = activitiesFrom(1, 1);
+  await runSync();
+  const watermark = await storage.getSyncWatermark(athleteId);
+
+  strava.activities.push(...activitiesFrom(2, 120));
+  strava.requests = [];
+  strava.failOn = ({ page }) => page === 2 && stravaError(403);
+  const { state, job } = await runSync();
+
+  assert.equal(state, "failed");
+  assert.equal(job.activities_stored, 50);
+  assert.equal(job.checkpoint.page, 1);
+  strava.failOn = null;
+  strava.requests = [];
+
+  return { job, watermark };
+}
+
+test("an interrupted sync resumes from its checkpoint", async () => {
+  const { job: failedJob, watermark } = await interruptedSync();
+
+  const { state, job } = await runSync();
+
+  assert.equal(state, "succeeded");
+  assert.equal(job.resumed_from, failedJob.job_id);
+  // Same window as the interrupted run, starting after its last page
+  assert.equal(strava.requests[0].page, 2);
+  assert.equal(strava.requests[0].after, epoch(watermark));
+  assert.equal(job.activities_stored, 120);
+  assert.equal((await storedIds()).length, 121);
+  assert.equal(
+    await storage.getSyncWatermark(athleteId),
+    strava.activities[120].start_date
+  );
+});
+
+test("a sync of another kind doesn't resume the checkpoint", async () => {
+  await interruptedSync();
+
+  const { job } = await runSync({ full_sync: true });
+
+  assert.equal(job.resumed_from, null);
+  assert.equal(strava.requests[0].page, 1);
+  assert.equal((await storedIds()).length, 121);
+});
+
+test("a sync that stopped responding is marked failed and resumed", async () => {
+  const { job: failedJob } = await interruptedSync();
+  await storage.updateSyncJob(athleteId, failedJob.job_id, {
+    state: "running",
+    finished_at: null,
+  });
+
+  const { job } = await runSync();
+
+  assert.equal(job.resumed_from, failedJob.job_id);
+  const staleJob = await storage.getSyncJob(athleteId, failedJob.job_id);
+  assert.equal(staleJob.state, "failed");
+  assert.equal(staleJob.error_message, "Sync stopped responding");
+});
@@ -0,0 +1,118 @@
+// token-encryption.test.js - Envelope encryption of Strava tokens
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const {
+  createConfigKeyProvider,
+  setKeyProvider,
+  encryptTokens,
+  decryptTokens,
+  decryptAuthRecord,
+  needsEncryption,
+} = require("../token-encryption");
+
+const KEY_1 = `k1:${crypto.randomBytes(32).toString("base64")}`;
+const KEY_2 = `k2:${crypto.randomBytes(32).toString("base64")}`;
+const TOKENS = { access_token: "access-abc", refresh_token: "refresh-xyz" };
+
+test.beforeEach(() => {
+  setKeyProvider(createConfigKeyProvider(KEY_1));
+});
+
+test("tokens round trip through an envelope", async () => {
+  const envelope = await encryptTokens(123, TOKENS);
+
+  assert.equal(envelope.key_id, "k1");
+  assert.doesNotMatch(JSON.stringify(envelope), /access-abc|refresh-xyz/);
+  assert.deepEqual(await decryptTokens(123, envelope), TOKENS);
+});
+
+test("each envelope gets its own data key", async () => {
+  const first = await encryptTokens(123, TOKENS);
+  const second = await encryptTokens(123, TOKENS);
+
+  assert.notEqual(first.wrapped_key, second.wrapped_key);
+  assert.notEqual(first.ciphertext, second.ciphertext);
+});
+
+test("envelopes are bound to their athlete", async () => {
+  const envelope = await encryptTokens(123, TOKENS);
+
+  await assert.rejects(decryptTokens(456, envelope));
+});
+
+test("tampered envelopes are rejected", async () => {
+  const envelope = await encryptTokens(123, TOKENS);
+  const ciphertext = Buffer.from(envelope.ciphertext, "base64");
+  ciphertext[ciphertext.length - 1] ^= 1;
+
+  await assert.rejects(
+    decryptTokens(123, {
+      ...envelope,
+      ciphertext: ciphertext.toString("base64"),
+    })
+  );
+  await assert.rejects(
+    decryptTokens(123, { ...envelope, version: 2 }),
+    /Unsupported token envelope version/
+  );
+});
+
+test("rotated keys still decrypt older envelopes", async () => {
+  const oldEnvelope = await encryptTokens(123, TOKENS);
+
+  setKeyProvider(createConfigKeyProvider(`${KEY_2},${KEY_1}`));
+  assert.deepEqual(await decryptTokens(123, oldEnvelope), TOKENS);
+  assert.equal(needsEncryption({ encrypted_tokens: oldEnvelope }), true);
+
+  const newEnvelope = await encryptTokens(123, TOKENS);
+  assert.equal(newEnvelope.key_id, "k2");
+  assert.equal(needsEncryption({ encrypted_tokens: newEnvelope }), false);
+
+  // Once the old key is dropped, its envelopes can't be read
+  setKeyProvider(createConfigKeyProvider(KEY_2));
+  await assert.rejects(
+    decryptTokens(123, oldEnvelope),
+    /"k1" is not configured/
+  );
+});
+
+test("TOKEN_ENCRYPTION_KEY_ID picks the key for new envelopes", async () => {
+  setKeyProvider(createConfigKeyProvider(`${KEY_1},${KEY_2}`, "k2"));
+
+  assert.equal((await encryptTokens(123, TOKENS)).key_id, "k2");
+});
+
+test("createConfigKeyProvider rejects bad key config", () => {
+  assert.equal(createConfigKeyProvider(""), null);
+  assert.throws(() => createConfigKeyProvider("k1:short"), /32-byte/);
+  assert.throws(
+    () => createConfigKeyProvider(KEY_1, "k3"),
+    /"k3" is not configured/
+  );
+});
+
+test("decryptAuthRecord decrypts stored records", async () => {
+  const stored = {
+    athlete_id: "123",
+    expires_at: 1700000000,
+    encrypted_tokens: await encryptTokens(123, TOKENS),
+  };
+
+  assert.deepEqual(await decryptAuthRecord(stored), {
+    athlete_id: "123",
+    expires_at: 1700000000,
+    ...TOKENS,
+  });
+});
+
+test("decryptAuthRecord passes through records from before encryption", async () => {
+  const legacy = { athlete_id: "123", ...TOKENS };
+
+  assert.equal(await decryptAuthRecord(legacy), legacy);
+  assert.equal(await decryptAuthRecord(null), null);
+  assert.equal(needsEncryption(legacy), true);
+});
@@ -0,0 +1,137 @@
+// tokens.test.js - Single-flight access token refresh
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const axios = require("axios");
+
+const {
+  createConfigKeyProvider,
+  setKeyProvider,
+} = require("../token-encryption");
+const { createMemoryStorage } = require("../storage/memory");
+const { createTokenOperations } = require("../storage/tokens");
+
+setKeyProvider(
+  createConfigKeyProvider(`k1:${crypto.randomBytes(32).toString("base64")}`)
+);
+
+const now = () => Math.floor(Date.now() / 1000);
+const originalPost = axios.post;
+
+test.afterEach(() => {
+  axios.post = originalPost;
+});
+
+async function setup({ expiresAt = now() - 60 } = {}) {
+  const storage = createMemoryStorage();
+  await storage.storeAuthToken(1, {
+    access_token: "old-access",
+    refresh_token: "old-refresh",
+    expires_at: expiresAt,
+  });
+
+  return { storage, ...createTokenOperations(storage) };
+}
+
+function refreshedTokens(suffix) {
+  return {
+    access_token: `access-${suffix}`,
+    refresh_token: `refresh-${suffix}`,
+    expires_at: now() + 6 * 60 * 60,
+  };
+}
+
+function stravaError(status, errors = []) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: { status, data: { errors } },
+  });
+}
+
+test("a token that isn't expiring is used as is", async () => {
+  const { getValidAccessToken } = await setup({ expiresAt: now() + 3600 });
+  axios.post = async () => assert.fail("should not refresh");
+
+  assert.equal(await getValidAccessToken(1), "old-access");
+});
+
+test("concurrent callers share one refresh", async () => {
+  const { storage, getValidAccessToken } = await setup();
+  let refreshes = 0;
+
+  axios.post = async (url, body) => {
+    refreshes++;
+    assert.equal(body.refresh_token, "old-refresh");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return { data: refreshedTokens("new") };
+  };
+
+  const tokens = await Promise.all(
+    Array.from({ length: 5 }, () => getValidAccessToken(1))
+  );
+
+  assert.equal(refreshes, 1);
+  assert.deepEqual(tokens, Array(5).fill("access-new"));
+
+  const stored = await storage.getAuthToken(1);
+  assert.equal(stored.refresh_token, "refresh-new");
+  assert.equal(stored.token_version, 2);
+});
+
+test("losing the token_version race uses the winner's token", async () => {
+  const { storage, getValidAccessToken } = await setup();
+
+  axios.post = async () => {
+    // Another instance stores its refresh first
+    await storage.storeRefreshedToken(1, refreshedTokens("winner"), 1);
+    return { data: refreshedTokens("loser") };
+  };
+
+  assert.equal(await getValidAccessToken(1), "access-winner");
+  assert.equal((await storage.getAuthToken(1)).access_token, "access-winner");
+});
+
+test("a refresh token rotated by another instance uses its token", async () => {
+  const { storage, getValidAccessToken } = await setup();
+
+  axios.post = async () => {
+    await storage.storeRefreshedToken(1, refreshedTokens("winner"), 1);
+    throw stravaError(400, [{ resource: "RefreshToken", code: "invalid" }]);
+  };
+
+  assert.equal(await getValidAccessToken(1), "access-winner");
+  assert.equal((await storage.getAuthToken(1)).needs_reauth, undefined);
+});
+
+test("a revoked refresh token flags the athlete for reauthorization", async () => {
+  const { storage, getValidAccessToken } = await setup();
+
+  axios.post = async () => {
+    throw stravaError(400, [{ resource: "RefreshToken", code: "invalid" }]);
+  };
+
+  await assert.rejects(getValidAccessToken(1), /status 400/);
+  assert.equal((await storage.getAuthToken(1)).needs_reauth, true);
+});
+
+test("other refresh failures are thrown without flagging the athlete", async () => {
+  const { storage, getValidAccessToken } = await setup();
+
+  axios.post = async () => {
+    throw stravaError(500);
+  };
+
+  await assert.rejects(getValidAccessToken(1), /status 500/);
+  assert.equal((await storage.getAuthToken(1)).needs_reauth, undefined);
+
+  // The failed refresh isn't cached
+  axios.post = async () => ({ data: refreshedTokens("retry") });
+  assert.equal(await getValidAccessToken(1), "access-retry");
+});
+
+test("athletes without a stored token are rejected", async () => {
+  const { getValidAccessToken } = await setup();
+
+  await assert.rejects(getValidAccessToken(2), /No authentication data/);
+});
@@ -0,0 +1,52 @@
+// zip.test.js - The streaming ZIP writer
+process.env.STORAGE_BACKEND = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+
+const { createZipWriter } = require("../zip");
+const { readZip } = require("./helpers/read-zip");
+
+async function buildZip(files) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+
+  const zip = createZipWriter(output);
+  for (const [name, content] of Object.entries(files)) {
+    await zip.addFile(name, content);
+  }
+  const size = await zip.finish();
+  output.end();
+
+  return { archive: Buffer.concat(chunks), size };
+}
+
+test("createZipWriter writes files that read back intact", async () => {
+  const files = {
+    "manifest.json": JSON.stringify({ activity_count: 1 }),
+    "activities/1.json": "{}",
+    "gpx/ünïcode.gpx": "<gpx></gpx>".repeat(100),
+  };
+
+  const { archive, size } = await buildZip(files);
+
+  assert.equal(size, archive.length);
+  assert.deepEqual(readZip(archive), files);
+});
+
+test("createZipWriter writes an empty archive", async () => {
+  const { archive } = await buildZip({});
+
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), {});
+});
+
+test("createZipWriter fails once the output is closed", async () => {
+  const output = new PassThrough();
+  const zip = createZipWriter(output);
+  output.destroy();
+
+  await assert.rejects(zip.addFile("a.txt", "a"), /closed/);
+});
@@ -0,0 +1,210 @@
+// token-encryption.js - Envelope encryption for Strava tokens at rest
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const ENVELOPE_VERSION = 1;
+
+// ========================================
+// KEY PROVIDERS
+// ========================================
+//
+// A key provider hands out per-record data keys wrapped by a master key:
+//
+//   currentKeyId                      -> ID of the key new records use
+//   generateDataKey()                 -> { keyId, plaintextKey, wrappedKey }
+//   decryptDataKey(keyId, wrappedKey) -> plaintextKey
+//
+// Both methods may be async and keys are Buffers. This maps directly onto
+// KMS GenerateDataKey/Decrypt, so a KMS-backed provider can be installed
+// with setKeyProvider() without touching the storage code.
+
+// Master keys from config: TOKEN_ENCRYPTION_KEYS="id1:base64key,id2:base64key".
+// New records use TOKEN_ENCRYPTION_KEY_ID (or the first key listed); older
+// key IDs stay listed so existing rows can still be decrypted after rotation.
+function createConfigKeyProvider(
+  keysConfig = process.env.TOKEN_ENCRYPTION_KEYS,
+  currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID
+) {
+  if (!keysConfig) {
+    return null;
+  }
+
+  const masterKeys = new Map();
+
+  for (const entry of keysConfig.split(",")) {
+    const [keyId, encodedKey] = entry.trim().split(":");
+    const key = Buffer.from(encodedKey || "", "base64");
+
+    if (!keyId || key.length !== 32) {
+      throw new Error(
+        `Invalid TOKEN_ENCRYPTION_KEYS entry "${keyId}": expected id:<32-byte base64 key>`
+      );
+    }
+
+    masterKeys.set(keyId, key);
+  }
+
+  const activeKeyId = currentKeyId || masterKeys.keys().next().value;
+
+  if (!masterKeys.has(activeKeyId)) {
+    throw new Error(`Token encryption key "${activeKeyId}" is not configured`);
+  }
+
+  const getMasterKey = (keyId) => {
+    const key = masterKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Token encryption key "${keyId}" is not configured`);
+    }
+    return key;
+  };
+
+  return {
+    currentKeyId: activeKeyId,
+
+    generateDataKey() {
+      const plaintextKey = crypto.randomBytes(32);
+      return {
+        keyId: activeKeyId,
+        plaintextKey,
+        wrappedKey: seal(getMasterKey(activeKeyId), plaintextKey),
+      };
+    },
+
+    decryptDataKey(keyId, wrappedKey) {
+      return open(getMasterKey(keyId), wrappedKey);
+    },
+  };
+}
+
+let keyProvider;
+
+function getKeyProvider() {
+  if (keyProvider === undefined) {
+    keyProvider = createConfigKeyProvider();
+  }
+
+  if (!keyProvider) {
+    throw new Error("Token encryption is not configured");
+  }
+
+  return keyProvider;
+}
+
+// Install a different key provider (e.g. KMS-backed)
+function setKeyProvider(provider) {
+  keyProvider = provider;
+}
+
+// ========================================
+// AES-GCM HELPERS
+// ========================================
+
+// Encrypt to a single buffer laid out as iv | tag | ciphertext
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad));
+  }
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed, aad) {
+  const data = Buffer.from(sealed);
+  const iv = data.subarray(0, IV_BYTES);
+  const tag = data.subarray(IV_BYTES, IV_BYTES + 16);
+  const ciphertext = data.subarray(IV_BYTES + 16);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad));
+  }
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// ========================================
+// TOKEN OPERATIONS
+// ========================================
+
+// Encrypt access and refresh tokens for storage on an athlete's auth record.
+// The athlete ID is bound as additional data so envelopes can't be swapped
+// between rows.
+async function encryptTokens(athleteId, { access_token, refresh_token }) {
+  const { keyId, plaintextKey, wrappedKey } =
+    await getKeyProvider().generateDataKey();
+
+  const payload = JSON.stringify({ access_token, refresh_token });
+  const ciphertext = seal(plaintextKey, payload, athleteId.toString());
+
+  return {
+    version: ENVELOPE_VERSION,
+    key_id: keyId,
+    wrapped_key: Buffer.from(wrappedKey).toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+// Reverse encryptTokens()
+async function decryptTokens(athleteId, envelope) {
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported token envelope version: ${envelope.version}`);
+  }
+
+  const plaintextKey = await getKeyProvider().decryptDataKey(
+    envelope.key_id,
+    Buffer.from(envelope.wrapped_key, "base64")
+  );
+
+  const payload = open(
+    plaintextKey,
+    Buffer.from(envelope.ciphertext, "base64"),
+    athleteId.toString()
+  );
+
+  return JSON.parse(payload.toString("utf8"));
+}
+
+// Decrypt the tokens on a stored auth record. Rows written before
+// encryption was introduced still carry plaintext tokens.
+async function decryptAuthRecord(item) {
+  if (!item || !item.encrypted_tokens) {
+    return item;
+  }
+
+  const { encrypted_tokens, ...record } = item;
+  const tokens = await decryptTokens(item.athlete_id, encrypted_tokens);
+
+  return {
+    ...record,
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token,
+  };
+}
+
+// Whether a stored auth record needs (re-)encrypting with the current key
+function needsEncryption(authRecord) {
+  if (!authRecord.encrypted_tokens) {
+    return true;
+  }
+
+  return authRecord.encrypted_tokens.key_id !== getKeyProvider().currentKeyId;
+}
+
+module.exports = {
+  // Key providers
+  createConfigKeyProvider,
+  setKeyProvider,
+
+  // Token operations
+  encryptTokens,
+  decryptTokens,
+  decryptAuthRecord,
+  needsEncryption,
+};
@@ -0,0 +1,175 @@
+// webhooks.js - Strava push subscription event handling
+//
+// Strava doesn't sign push events, so anyone can post one. Events are only
+// hints: what they claim (a deletion, a deauthorization) is checked with
+// Strava before anything stored is removed.
+const {
+  getAuthToken,
+  getValidAccessToken,
+  isRefreshTokenRevoked,
+  getActivity,
+  storeActivity,
+  deleteActivity,
+  deleteActivityStreams,
+} = require("./storage");
+const { fetchStravaActivity, processStravaActivity } = require("./sync");
+const { stravaGet } = require("./strava-client");
+const { purgeAthleteData } = require("./account");
+const { getActivityFilters } = require("./activity-filters");
+
+const STRAVA_WEBHOOK_VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+const STRAVA_WEBHOOK_SUBSCRIPTION_ID =
+  process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+
+// Answer Strava's subscription validation handshake. Returns the challenge
+// to echo back, or null if the request isn't a valid handshake.
+function verifySubscriptionChallenge(query) {
+  if (
+    query["hub.mode"] === "subscribe" &&
+    STRAVA_WEBHOOK_VERIFY_TOKEN &&
+    query["hub.verify_token"] === STRAVA_WEBHOOK_VERIFY_TOKEN
+  ) {
+    return query["hub.challenge"];
+  }
+
+  return null;
+}
+
+// Ignore events that aren't for our subscription (when one is configured).
+// Subscription IDs aren't secret, so this only filters out noise.
+function isOwnSubscription(event) {
+  return (
+    !STRAVA_WEBHOOK_SUBSCRIPTION_ID ||
+    event.subscription_id?.toString() === STRAVA_WEBHOOK_SUBSCRIPTION_ID
+  );
+}
+
+// Create, update or delete: fetch the detail and run it through the
+// athlete's filter rules. The activity is only removed if Strava no longer
+// has it (or it no longer passes the rules).
+async function syncActivity(athleteId, activityId) {
+  const accessToken = await getValidAccessToken(athleteId);
+
+  let stravaActivity;
+  try {
+    stravaActivity = await fetchStravaActivity(accessToken, activityId);
+  } catch (error) {
+    // Made private without activity:read_all, or already gone
+    if (error.response?.status === 404) {
+      return removeActivity(athleteId, activityId);
+    }
+    throw error;
+  }
+
+  // Strava also returns other athletes' public activities
+  if (stravaActivity.athlete?.id?.toString() !== athleteId) {
+    console.warn(
+      `Webhook: activity ${activityId} doesn't belong to athlete ${athleteId}`
+    );
+    return "ignored";
+  }
+
+  const processedActivity = await processStravaActivity(stravaActivity, {
+    filters: await getActivityFilters(athleteId),
+  });
+
+  // Edited into something we don't show (e.g. marked as trainer)
+  if (!processedActivity) {
+    return removeActivity(athleteId, activityId);
+  }
+
+  const existing = await getActivity(activityId);
+
+  await storeActivity({
+    ...processedActivity,
+    athlete_id: athleteId,
+  });
+
+  // Edited in a way that may change its streams (e.g. cropped)
+  if (existing && existing.fingerprint !== processedActivity.fingerprint) {
+    await deleteActivityStreams(athleteId, [activityId]);
+  }
+
+  console.log(`Webhook: stored activity ${activityId} for athlete ${athleteId}`);
+  return "stored";
+}
+
+async function removeActivity(athleteId, activityId) {
+  const existing = await getActivity(activityId);
+
+  if (!existing || existing.athlete_id !== athleteId) {
+    return "ignored";
+  }
+
+  await deleteActivity(activityId);
+  await deleteActivityStreams(athleteId, [activityId]);
+
+  console.log(
+    `Webhook: deleted activity ${activityId} for athlete ${athleteId}`
+  );
+  return "deleted";
+}
+
+// Whether Strava really has revoked our access: the refresh token is
+// rejected, or the access token is refused
+async function isDeauthorized(athleteId) {
+  try {
+    const accessToken = await getValidAccessToken(athleteId);
+    await stravaGet("/athlete", accessToken);
+    return false;
+  } catch (error) {
+    if (isRefreshTokenRevoked(error) || error.response?.status === 401) {
+      return true;
+    }
+    throw error;
+  }
+}
+
+// Handle a single push event from Strava
+async function handleWebhookEvent(event) {
+  const { object_type, object_id, aspect_type, owner_id, updates } = event;
+  const athleteId = owner_id?.toString();
+
+  if (!isOwnSubscription(event)) {
+    console.warn("Webhook: ignoring event for unknown subscription", event);
+    return "ignored";
+  }
+
+  // Only athletes who've connected to us have anything to update
+  const authData = athleteId ? await getAuthToken(athleteId) : null;
+  if (!authData) {
+    return "ignored";
+  }
+
+  console.log(
+    `Webhook: ${object_type} ${aspect_type} ${object_id} (athlete ${athleteId})`
+  );
+
+  if (object_type === "athlete") {
+    if (aspect_type === "update" && updates?.authorized === "false") {
+      if (!(await isDeauthorized(athleteId))) {
+        console.warn(
+          `Webhook: athlete ${athleteId} is still authorized, not purging`
+        );
+        return "ignored";
+      }
+
+      await purgeAthleteData(athleteId);
+      return "purged";
+    }
+    return "ignored";
+  }
+
+  if (object_type === "activity") {
+    if (["create", "update", "delete"].includes(aspect_type)) {
+      return syncActivity(athleteId, object_id);
+    }
+  }
+
+  return "ignored";
+}
+
+module.exports = {
+  verifySubscriptionChallenge,
+  handleWebhookEvent,
+};
@@ -0,0 +1,149 @@
+// zip.js - Minimal streaming ZIP writer
+//
+// Enough for account exports: each file is added whole, deflated and
+// written straight to the output stream, and the central directory follows
+// at the end. No ZIP64, so archives stay under 4GB and 65,535 files.
+const zlib = require("zlib");
+
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+// CRC-32 lookup table (zlib.crc32 needs a newer Node than Lambda runs)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Resolves once the stream can take more, or has closed (e.g. the client
+// went away), so a slow reader holds the writer back
+function waitForDrain(output) {
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off("drain", done);
+      output.off("close", done);
+      resolve();
+    };
+    output.on("drain", done);
+    output.on("close", done);
+  });
+}
+
+// Write a ZIP archive to `output` (any writable stream). Call addFile for
+// each file, then finish; ending the stream is left to the caller.
+function createZipWriter(output) {
+  const entries = [];
+  const modified = dosDateTime(new Date());
+  let offset = 0;
+
+  async function emit(buffer) {
+    if (output.destroyed) {
+      throw new Error("ZIP output stream was closed");
+    }
+
+    offset += buffer.length;
+    if (!output.write(buffer)) {
+      await waitForDrain(output);
+    }
+  }
+
+  async function addFile(name, content) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+
+    if (
+      entries.length >= MAX_ENTRIES ||
+      offset + compressed.length + 30 + fileName.length > MAX_OFFSET
+    ) {
+      throw new Error("Archive is too large for a ZIP without ZIP64");
+    }
+
+    const entry = {
+      fileName,
+      crc: crc32(data),
+      size: data.length,
+      compressedSize: compressed.length,
+      offset,
+    };
+    entries.push(entry);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    header.writeUInt16LE(20, 4); // Version needed (2.0)
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+
+    await emit(Buffer.concat([header, fileName]));
+    await emit(compressed);
+  }
+
+  // Write the central directory. Returns the archive size in bytes.
+  async function finish() {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0); // Central directory signature
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed
+      header.writeUInt16LE(0x0800, 8); // UTF-8 file names
+      header.writeUInt16LE(8, 10); // Deflate
+      header.writeUInt16LE(modified.time, 12);
+      header.writeUInt16LE(modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+
+      await emit(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await emit(end);
+    return offset;
+  }
+
+  return { addFile, finish };
+}
+
+module.exports = {
+  createZipWriter,
+};